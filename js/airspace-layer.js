@@ -0,0 +1,100 @@
+/**
+ * airspace-layer.js - Airspace on the foreground SVG
+ *
+ * Each airspace of the store (see airspace.js) is drawn as a filled, outlined polygon whose colours come from its
+ * class, under the airways and navigation symbols. Only airspace whose vertical extent overlaps the chosen altitude
+ * band is drawn. The fills let clicks through to the globe, so pins can still be dropped inside airspace.
+ */
+
+// Assumes d3 and airspaceData (airspace.js) are available globally
+
+window.airspaceLayer = (function() {
+    "use strict";
+
+    // Style classes by airspace class; the rest are drawn as "other"
+    const STYLES = {
+        A: 'class-a', B: 'class-b', C: 'class-c', D: 'class-d', E: 'class-e', F: 'class-f', G: 'class-g',
+        CTR: 'ctr', TMZ: 'tmz', RMZ: 'rmz', R: 'restricted', P: 'prohibited', Q: 'danger', GP: 'glider', W: 'glider'
+    };
+
+    /**
+     * @returns {String} the style class for an airspace class such as "C", "CTR" or "R".
+     */
+    function styleOf(airspaceClass) {
+        return STYLES[airspaceClass] || 'other';
+    }
+
+    // Outlines as d3 wants them, exterior rings clockwise. OpenAir and GeoJSON outlines may wind either way, and the
+    // sphere would be filled outside a counter-clockwise ring, so rings covering more than a hemisphere are reversed.
+    // Each outline also gets an id to key the drawn paths by
+    const features = new WeakMap();
+    let lastId = 0;
+    function featureOf(airspace) {
+        let feature = features.get(airspace);
+        if (!feature) {
+            feature = { type: 'Feature', id: ++lastId, properties: {}, geometry: airspace.geometry };
+            if (d3.geo.area(feature) > 2 * Math.PI) {
+                const [exterior, ...holes] = airspace.geometry.coordinates;
+                feature.geometry = { type: 'Polygon', coordinates: [exterior.slice().reverse(), ...holes] };
+            }
+            features.set(airspace, feature);
+        }
+        return feature;
+    }
+
+    function formatLimit(limit) {
+        if (limit.reference === 'STD' || limit.feet === 0 || limit.feet === Infinity) return limit.text;
+        return `${Math.round(limit.feet)} ft ${limit.reference}`;
+    }
+
+    /**
+     * @returns {String} the airspace's class, name and vertical extent, e.g. "D London City CTR, GND – 2500 ft MSL".
+     */
+    function describe(airspace) {
+        const name = [airspace.class, airspace.name].filter(Boolean).join(' ');
+        return `${name}, ${formatLimit(airspace.floor)} – ${formatLimit(airspace.ceiling)}`;
+    }
+
+    /**
+     * Draws the airspace into the SVG.
+     *
+     * @param {Object} svg d3 selection of the foreground SVG.
+     * @param {Object} projection the globe's projection.
+     * @param {Array} airspace the airspace store.
+     * @param {Boolean} visible whether the layer is switched on.
+     * @param {Object} band {floor, ceiling} in feet: only airspace overlapping it is drawn.
+     */
+    function draw(svg, projection, airspace, visible, band) {
+        let group = svg.select('g.airspace');
+        if (group.empty()) {
+            const above = ['g.airways', 'g.navigation'].find(selector => !svg.select(selector).empty());
+            group = above ? svg.insert('g', above) : svg.append('g');
+            group.attr('class', 'airspace');
+        }
+
+        const path = d3.geo.path().projection(projection);
+        const shown = [];
+        if (visible) {
+            (airspace || []).forEach(a => {
+                if (!airspaceData.intersects(a, band.floor, band.ceiling)) return;
+                const feature = featureOf(a);
+                const d = path(feature);
+                if (d) shown.push({ id: feature.id, airspace: a, d });
+            });
+        }
+
+        const marks = group.selectAll('path.airspace-area').data(shown, d => d.id);
+        marks.enter().append('path').append('title');
+        marks.exit().remove();
+        marks.attr('class', d => `airspace-area airspace-${styleOf(d.airspace.class)}`)
+            .attr('d', d => d.d);
+        marks.select('title').text(d => describe(d.airspace));
+    }
+
+    return {
+        styleOf,
+        describe,
+        draw
+    };
+
+})();
@@ -0,0 +1,254 @@
+/**
+ * airspace.js - Airspace from OpenAir text files and GeoJSON
+ *
+ * Both formats are read into the layout of the airspace store in data.js: {name, class, floor, ceiling, geometry,
+ * source}, where floor and ceiling are altitudes as returned by altitude() and geometry is a GeoJSON Polygon. OpenAir
+ * arcs (DA, DB) and circles (DC) are traced on the sphere, their points being the great circle destinations at the
+ * radius from the centre, so they keep their shape however far from the equator they are. As with the navigation
+ * data imports, a record that can't be read is reported with its line number and the rest of the file still imports.
+ *
+ * See http://www.winpilot.com/usersguide/userairspace.asp for the OpenAir format.
+ */
+
+// Assumes geodesy (geodesy.js) is available globally
+
+window.airspaceData = (function() {
+    "use strict";
+
+    const FEET_PER_METRE = 3.28084;
+    const ARC_STEP = 3; // degrees between the points traced along arcs and circles
+
+    /**
+     * Parses a vertical limit such as "GND", "SFC", "FL95", "3500ft MSL", "2000 ft AGL", "1000m" or "UNL".
+     *
+     * @returns {Object} {feet, reference, text}: feet above the reference ("MSL", "AGL" or "STD" for flight levels,
+     *          Infinity for unlimited) and the limit as written.
+     */
+    function altitude(text) {
+        const t = String(text).trim().toUpperCase();
+        if (/^(GND|SFC|SURFACE)\b/.test(t)) return { feet: 0, reference: 'AGL', text: 'GND' };
+        if (/^UNL/.test(t)) return { feet: Infinity, reference: 'MSL', text: 'UNL' };
+        let match = /^FL\s*(\d+)/.exec(t);
+        if (match) return { feet: match[1] * 100, reference: 'STD', text: `FL${+match[1]}` };
+        match = /^(\d+(?:\.\d+)?)\s*(FT|F|M)?\s*(MSL|AMSL|ALT|AGL|AGND|ASFC|GND|SFC|STD)?\b/.exec(t);
+        if (!match) throw new Error(`invalid altitude "${text}"`);
+        const feet = match[2] === 'M' ? match[1] * FEET_PER_METRE : +match[1];
+        const reference = /^(AGL|AGND|ASFC|GND|SFC)$/.test(match[3] || '') ? 'AGL' : 'MSL';
+        return { feet, reference, text: String(text).trim() };
+    }
+
+    /**
+     * @returns {Boolean} whether the airspace's vertical extent overlaps the band from floor to ceiling, in feet.
+     *          Heights above ground are compared as if they were above sea level.
+     */
+    function intersects(airspace, floor, ceiling) {
+        return airspace.floor.feet <= ceiling && airspace.ceiling.feet >= floor;
+    }
+
+    /**
+     * @param {String} text an OpenAir coordinate such as "52:20:00 N 013:30:00 E" or "52:20.5N 13:30.25E".
+     * @returns {Array} [lon, lat] in degrees.
+     */
+    function coordinate(text) {
+        const part = '(\\d+):(\\d+(?:\\.\\d+)?)(?::(\\d+(?:\\.\\d+)?))?\\s*';
+        const match = new RegExp(`^${part}([NS])\\s*,?\\s*${part}([EW])`, 'i').exec(text.trim());
+        if (!match) throw new Error(`invalid coordinate "${text.trim()}"`);
+        const degrees = (d, m, s) => +d + m / 60 + (s || 0) / 3600;
+        const lat = degrees(match[1], match[2], match[3]) * (/S/i.test(match[4]) ? -1 : 1);
+        const lon = degrees(match[5], match[6], match[7]) * (/W/i.test(match[8]) ? -1 : 1);
+        if (Math.abs(lat) > 90 || Math.abs(lon) > 180) throw new Error(`coordinate out of range "${text.trim()}"`);
+        return [lon, lat];
+    }
+
+    // The [lon, lat] the OpenAir coordinates are read into as the {lat, lon} geodesy.js works with
+    const point = ([lon, lat]) => ({ lat, lon });
+
+    /**
+     * @returns {Array} the points of the arc around the centre from one bearing to another, both ends included,
+     *          clockwise or not.
+     */
+    function arc(centre, radius, from, to, clockwise) {
+        let sweep = clockwise ? (to - from + 360) % 360 : -((from - to + 360) % 360);
+        if (sweep === 0) sweep = clockwise ? 360 : -360; // start and end on the same bearing: the whole circle
+        const steps = Math.max(1, Math.ceil(Math.abs(sweep) / ARC_STEP));
+        const points = [];
+        for (let i = 0; i <= steps; i++) {
+            const { lat, lon } = geodesy.destination(point(centre), from + sweep * i / steps, radius);
+            points.push([lon, lat]);
+        }
+        return points;
+    }
+
+    /**
+     * Parses an OpenAir file. Each airspace starts at its AC record; AN, AL and AH give its name and limits, and its
+     * outline is made of DP points, DA and DB arcs around the V X= centre in the V D= direction, or a DC circle.
+     *
+     * @returns {Object} {airspace, errors, skipped}: errors is [{line, record, message}] for each record that couldn't
+     *          be read or airspace left without an outline, skipped counts records of unsupported kinds.
+     */
+    function parseOpenAir(text) {
+        const result = { airspace: [], errors: [], skipped: 0 };
+        let current = null;
+
+        // Adds outline points, leaving out repeats of the last one (arcs usually start on the point before them)
+        const addPoints = points => points.forEach(point => {
+            const last = current.points[current.points.length - 1];
+            if (!last || last[0] !== point[0] || last[1] !== point[1]) current.points.push(point);
+        });
+
+        const finish = () => {
+            if (!current) return;
+            const { points, line } = current;
+            if (points.length < 3) {
+                result.errors.push({ line, record: 'AC', message: `${current.name || 'unnamed airspace'}: no outline` });
+            } else {
+                const first = points[0], last = points[points.length - 1];
+                if (first[0] !== last[0] || first[1] !== last[1]) points.push(first.slice());
+                result.airspace.push({
+                    name: current.name,
+                    class: current.class,
+                    floor: current.floor,
+                    ceiling: current.ceiling,
+                    geometry: { type: 'Polygon', coordinates: [points] },
+                    source: 'OpenAir'
+                });
+            }
+            current = null;
+        };
+
+        text.split(/\r?\n/).forEach((raw, i) => {
+            const line = raw.replace(/\*.*$/, '').trim(); // "*" starts a comment
+            if (line === '') return;
+            const lineNumber = i + 1;
+            const match = /^([A-Z]{1,2})\s*(.*)$/i.exec(line);
+            const record = match ? match[1].toUpperCase() : '';
+            const value = match ? match[2].trim() : '';
+            try {
+                if (!match) throw new Error(`unreadable record "${line}"`);
+                if (record === 'AC') {
+                    finish();
+                    current = {
+                        line: lineNumber, class: value.toUpperCase(), name: '', points: [], centre: null, clockwise: true,
+                        floor: altitude('GND'), ceiling: altitude('UNL')
+                    };
+                    return;
+                }
+                if (!current) throw new Error(`${record} before the first AC record`);
+                switch (record) {
+                    case 'AN': current.name = value; break;
+                    case 'AL': current.floor = altitude(value); break;
+                    case 'AH': current.ceiling = altitude(value); break;
+                    case 'DP': addPoints([coordinate(value)]); break;
+                    case 'V': {
+                        const variable = /^([XD])\s*=\s*(.*)$/i.exec(value);
+                        if (!variable) throw new Error(`unsupported variable "${value}"`);
+                        if (variable[1].toUpperCase() === 'X') current.centre = coordinate(variable[2]);
+                        else current.clockwise = variable[2].trim() !== '-';
+                        break;
+                    }
+                    case 'DA': {
+                        if (!current.centre) throw new Error('arc without a V X= centre');
+                        const [radius, from, to] = value.split(',').map(parseFloat);
+                        if (![radius, from, to].every(isFinite)) throw new Error(`invalid arc "${value}"`);
+                        addPoints(arc(current.centre, radius, from, to, current.clockwise));
+                        break;
+                    }
+                    case 'DB': {
+                        if (!current.centre) throw new Error('arc without a V X= centre');
+                        const ends = value.split(',');
+                        if (ends.length !== 2) throw new Error(`invalid arc "${value}"`);
+                        const start = coordinate(ends[0]), end = coordinate(ends[1]);
+                        const centre = point(current.centre);
+                        const points = arc(current.centre, geodesy.distance(centre, point(start)),
+                            geodesy.initialCourse(centre, point(start)), geodesy.initialCourse(centre, point(end)), current.clockwise);
+                        points[0] = start;
+                        points[points.length - 1] = end; // the arc ends exactly on the given points
+                        addPoints(points);
+                        break;
+                    }
+                    case 'DC': {
+                        if (!current.centre) throw new Error('circle without a V X= centre');
+                        const radius = parseFloat(value);
+                        if (!(radius > 0)) throw new Error(`invalid radius "${value}"`);
+                        addPoints(arc(current.centre, radius, 0, 0, true));
+                        break;
+                    }
+                    default: result.skipped++; // labels (AT), styles (SP, SB), airways (DY)...
+                }
+            } catch (error) {
+                result.errors.push({ line: lineNumber, record, message: error.message });
+            }
+        });
+        finish();
+        result.errors.sort((a, b) => a.line - b.line);
+        return result;
+    }
+
+    // Vertical limit from GeoJSON properties: an OpenAir-style string or an openAIP {value, unit, referenceDatum}
+    function geoJsonLimit(limit, fallback) {
+        if (limit === undefined || limit === null || limit === '') return altitude(fallback);
+        if (typeof limit !== 'object') return altitude(String(limit));
+        const units = { 0: 'M', 1: 'FT', 6: 'FL' }, datums = { 0: 'GND', 1: 'MSL', 2: 'STD' };
+        const unit = units[limit.unit] || String(limit.unit || 'FT').toUpperCase();
+        const datum = datums[limit.referenceDatum] || String(limit.referenceDatum || 'MSL').toUpperCase();
+        if (unit === 'FL') return altitude(`FL${limit.value}`);
+        if (datum === 'GND' && +limit.value === 0) return altitude('GND');
+        return altitude(`${limit.value}${unit} ${datum === 'GND' ? 'AGL' : datum}`);
+    }
+
+    /**
+     * Reads airspace from a GeoJSON FeatureCollection, Feature or geometry. Each Polygon becomes an airspace, as
+     * does each part of a MultiPolygon; name, class and limits come from the usual property names, including
+     * openAIP's.
+     *
+     * @param {String|Object} json the GeoJSON, as text or parsed.
+     * @returns {Object} {airspace, errors, skipped}: errors is [{line, record, message}], line being the feature's
+     *          index, skipped counts features that aren't polygons.
+     */
+    function parseGeoJson(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        const features = data.type === 'FeatureCollection' ? data.features
+            : data.type === 'Feature' ? [data]
+            : [{ type: 'Feature', properties: {}, geometry: data }];
+        const result = { airspace: [], errors: [], skipped: 0 };
+
+        features.forEach((feature, i) => {
+            try {
+                const geometry = feature.geometry || {};
+                const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+                    : geometry.type === 'MultiPolygon' ? geometry.coordinates
+                    : null;
+                if (!polygons) {
+                    result.skipped++;
+                    return;
+                }
+                const p = feature.properties || {};
+                const property = keys => p[keys.find(key => p[key] !== undefined && p[key] !== null)];
+                const name = property(['name', 'NAME', 'title']) || '';
+                const airspaceClass = String(property(['class', 'CLASS', 'icaoClass', 'type', 'TYPE']) || '').toUpperCase();
+                const floor = geoJsonLimit(property(['floor', 'lowerLimit', 'lower', 'AL']), 'GND');
+                const ceiling = geoJsonLimit(property(['ceiling', 'upperLimit', 'upper', 'AH']), 'UNL');
+                polygons.forEach(coordinates => {
+                    if (!coordinates[0] || coordinates[0].length < 4) throw new Error(`${name || 'unnamed airspace'}: no outline`);
+                    result.airspace.push({
+                        name, class: airspaceClass, floor, ceiling,
+                        geometry: { type: 'Polygon', coordinates },
+                        source: 'GeoJSON'
+                    });
+                });
+            } catch (error) {
+                result.errors.push({ line: i + 1, record: 'feature', message: error.message });
+            }
+        });
+        return result;
+    }
+
+    return {
+        altitude,
+        intersects,
+        coordinate,
+        parseOpenAir,
+        parseGeoJson
+    };
+
+})();
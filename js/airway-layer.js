@@ -0,0 +1,226 @@
+/**
+ * airway-layer.js - Airways on the foreground SVG
+ *
+ * An airway (see the airways store in data.js) is a named route of fixes in sequence order. Each pair of
+ * consecutive fixes is a segment, and the segment takes its altitudes and direction restriction from the record
+ * of its first fix, as ARINC 424 lays them out. Segments are drawn as great circles by d3's geo path, with the
+ * airway's identifier and the segment's magnetic course at the midpoint while few enough segments are in view. The
+ * computed courses are the great circle's there, with the declination at the midpoint, as route-planner.js works out
+ * its legs by default.
+ * One-way segments carry an arrow in the direction they may be flown.
+ */
+
+// Assumes d3, µ (micro.js) and geodesy (geodesy.js) are available globally
+
+window.airwayLayer = (function() {
+    "use strict";
+
+    const LABEL_LIMIT = 150; // no labels while more segments than this are in view
+    const HIT_WIDTH = 8; // px either side of a segment that still selects it
+
+    /**
+     * @returns {Array} the segments of the airways whose fixes both have coordinates, as [{key, airway, index, from,
+     *          to, direction, level, mea, minAltitude2, maxAltitude, publishedCourse, publishedDistance}]; minAltitude2 is
+     *          the MEA for flying the segment the other way.
+     */
+    function segments(airways) {
+        const result = [];
+        (airways || []).forEach(airway => {
+            for (let i = 0; i + 1 < airway.fixes.length; i++) {
+                const from = airway.fixes[i], to = airway.fixes[i + 1];
+                if (from.lat === null || to.lat === null) continue;
+                result.push({
+                    key: `${airway.area || ''}:${airway.id}:${from.sequence}:${from.id}:${to.id}`,
+                    airway, index: i, from, to,
+                    direction: from.direction || null,
+                    level: from.level || airway.level || '',
+                    mea: from.mea, minAltitude2: from.minAltitude2, maxAltitude: from.maxAltitude,
+                    publishedCourse: from.outboundCourse === undefined ? null : from.outboundCourse,
+                    publishedDistance: from.distance === undefined ? null : from.distance
+                });
+            }
+        });
+        return result;
+    }
+
+    /**
+     * @param {Object} segment as returned by segments().
+     * @param {Function} declination (lat, lon) → degrees east at the point, or null when no model is loaded.
+     * @returns {Object} {midpoint, trueCourse, magneticCourse, distance}: the great circle's midpoint {lat, lon}, its
+     *          course there in degrees true, the same corrected for the declination at the midpoint (null without a
+     *          model) and the great circle distance in NM.
+     */
+    function courses(segment, declination) {
+        const { from, to } = segment;
+        const midpoint = geodesy.interpolate(from, to, 0.5);
+        const trueCourse = geodesy.initialCourse(midpoint, to);
+        const decl = declination ? declination(midpoint.lat, midpoint.lon) : null;
+        return {
+            midpoint,
+            trueCourse,
+            magneticCourse: decl === null || !isFinite(decl) ? null : µ.floorMod(trueCourse - decl, 360),
+            distance: geodesy.distance(from, to)
+        };
+    }
+
+    function formatCourse(degrees) {
+        return `${String(Math.round(degrees) % 360).padStart(3, '0')}°`;
+    }
+
+    function formatAltitude(feet) {
+        return feet === null || feet === undefined ? 'not published' : `${feet.toLocaleString()} ft`;
+    }
+
+    // The segment's course for its label: the published magnetic course, or the model's where none is published
+    function labelCourse(segment, declination) {
+        if (segment.publishedCourse !== null) return segment.publishedCourse;
+        return courses(segment, declination).magneticCourse;
+    }
+
+    /**
+     * Describes a segment for the details box shown when it's clicked.
+     *
+     * @param {Object} segment as returned by segments().
+     * @param {Function} declination see courses().
+     * @param {String} modelName the name of the model declination comes from, for the computed course.
+     * @returns {Object} {title, rows: [[label, value]]}.
+     */
+    function describe(segment, declination, modelName) {
+        const { trueCourse, magneticCourse, distance } = courses(segment, declination);
+        const directions = {
+            F: `one way, ${segment.from.id} to ${segment.to.id}`,
+            B: `one way, ${segment.to.id} to ${segment.from.id}`
+        };
+        const levels = { H: 'high', L: 'low', B: 'high and low' };
+        const rows = [
+            ['True course', `${formatCourse(trueCourse)} at the midpoint`],
+            ['Magnetic course', magneticCourse === null ? 'no model' : `${formatCourse(magneticCourse)} (${modelName} at the midpoint)`]
+        ];
+        if (segment.publishedCourse !== null) rows.push(['Published course', `${formatCourse(segment.publishedCourse)} magnetic`]);
+        rows.push(['Distance', segment.publishedDistance !== null
+            ? `${segment.publishedDistance.toFixed(1)} NM (great circle ${distance.toFixed(1)} NM)`
+            : `${distance.toFixed(1)} NM`]);
+        rows.push(['MEA', formatAltitude(segment.mea)]);
+        if (segment.minAltitude2 !== null && segment.minAltitude2 !== undefined) {
+            rows.push([`MEA ${segment.to.id} to ${segment.from.id}`, formatAltitude(segment.minAltitude2)]);
+        }
+        if (segment.maxAltitude !== null && segment.maxAltitude !== undefined) rows.push(['Maximum', formatAltitude(segment.maxAltitude)]);
+        rows.push(['Direction', directions[segment.direction] || 'both ways']);
+        if (levels[segment.level]) rows.push(['Structure', levels[segment.level]]);
+        return {
+            title: `${segment.airway.id}: ${segment.from.id} – ${segment.to.id}`,
+            rows
+        };
+    }
+
+    // Adds the arrowhead marking one-way segments to the SVG once
+    function defineMarker(svg) {
+        if (!svg.select('#airway-arrow').empty()) return;
+        let defs = svg.select('defs.airway-markers');
+        if (defs.empty()) defs = svg.insert('defs', ':first-child').attr('class', 'airway-markers');
+        defs.append('marker')
+            .attr('id', 'airway-arrow')
+            .attr('viewBox', '0 -4 8 8')
+            .attr('refX', 8)
+            .attr('markerWidth', 8)
+            .attr('markerHeight', 8)
+            .attr('markerUnits', 'userSpaceOnUse')
+            .attr('orient', 'auto')
+            .append('path').attr('d', 'M0,-4L8,0L0,4Z');
+    }
+
+    /**
+     * Draws the airways into the SVG, under the navigation symbols.
+     *
+     * @param {Object} svg d3 selection of the foreground SVG.
+     * @param {Object} projection the globe's projection.
+     * @param {Array} airways the airways store.
+     * @param {Boolean} visible whether the layer is switched on.
+     * @param {Object} options {declination(lat, lon), selected: key of the highlighted segment, onSelect(segment)}.
+     */
+    function draw(svg, projection, airways, visible, options) {
+        let group = svg.select('g.airways');
+        if (group.empty()) {
+            group = svg.select('g.navigation').empty()
+                ? svg.append('g')
+                : svg.insert('g', 'g.navigation');
+            group.attr('class', 'airways');
+        }
+        defineMarker(svg);
+
+        const path = d3.geo.path().projection(projection);
+        const shown = [];
+        if (visible) {
+            segments(airways).forEach(segment => {
+                // A one-way segment is drawn in its permitted direction so the arrow at its end points the right way
+                const ends = [[segment.from.lon, segment.from.lat], [segment.to.lon, segment.to.lat]];
+                if (segment.direction === 'B') ends.reverse();
+                const d = path({ type: 'LineString', coordinates: ends });
+                if (d) shown.push({ segment, d });
+            });
+        }
+        const labelled = shown.length <= LABEL_LIMIT;
+
+        const marks = group.selectAll('g.airway-segment').data(shown, d => d.segment.key);
+        const entering = marks.enter().append('g').attr('class', 'airway-segment');
+        entering.append('path').attr('class', 'airway-hit').style('stroke-width', HIT_WIDTH * 2);
+        entering.append('path').attr('class', 'airway-line');
+        entering.append('text').attr('text-anchor', 'middle').attr('dy', '-0.4em');
+        marks.exit().remove();
+
+        marks.classed('selected', d => d.segment.key === options.selected)
+            .on('click', d => {
+                d3.event.stopPropagation(); // Don't drop a pin here
+                options.onSelect(d.segment);
+            });
+        marks.select('path.airway-hit').attr('d', d => d.d);
+        marks.select('path.airway-line').attr('d', d => d.d)
+            .attr('marker-end', d => d.segment.direction ? 'url(#airway-arrow)' : null);
+        marks.select('text').each(function(d) {
+            const text = d3.select(this);
+            const { from, to } = d.segment;
+            const midpoint = d3.geo.interpolate([from.lon, from.lat], [to.lon, to.lat])(0.5);
+            if (!labelled || !path({ type: 'Point', coordinates: midpoint })) {
+                text.text('');
+                return;
+            }
+            const point = projection(midpoint);
+            const course = labelCourse(d.segment, options.declination);
+            text.attr('x', point[0].toFixed(1)).attr('y', point[1].toFixed(1))
+                .text(course === null ? d.segment.airway.id : `${d.segment.airway.id} ${formatCourse(course)}`);
+        });
+    }
+
+    /**
+     * Shows a segment's description in the details box, or hides the box when description is null.
+     *
+     * @param {Element} container the details box.
+     * @param {Object} description as returned by describe(), or null.
+     * @param {Function} onClose called when the box's close button is clicked.
+     */
+    function renderDetails(container, description, onClose) {
+        const root = d3.select(container);
+        root.selectAll('*').remove();
+        root.classed('invisible', !description);
+        if (!description) return;
+
+        const header = root.append('div').attr('class', 'airway-details-header');
+        header.append('strong').text(description.title);
+        header.append('button').attr('title', 'Close').text('×').on('click', onClose);
+        const table = root.append('table');
+        description.rows.forEach(([label, value]) => {
+            const row = table.append('tr');
+            row.append('th').text(label);
+            row.append('td').text(value);
+        });
+    }
+
+    return {
+        segments,
+        courses,
+        describe,
+        draw,
+        renderDetails
+    };
+
+})();
@@ -2,7 +2,7 @@
  * app.js - Main application logic (adapted from Cambecc's earth.js)
  */
 
-// Assume all necessary libraries (d3, underscore, backbone, topojson, when, geomagnetism, micro, globes, products, svg-globe-cambecc, magvar-canvas-overlay) are loaded globally via script tags in index.html
+// Assume all necessary libraries (d3, underscore, backbone, topojson, when, geomagnetism, micro, globes, products, svg-globe-cambecc, magnetic-elements, magvar-canvas-overlay, magvar-pins, navigation-layer) are loaded globally via script tags in index.html
 
 (function() {
     "use strict";
@@ -14,6 +14,8 @@
     const MIN_SLEEP_TIME = 25; // amount of time a task waits before resuming (millis)
     const MIN_MOVE = 4; // slack before a drag operation beings (pixels)
     const MOVE_END_WAIT = 1000; // time to wait for a move operation to be considered done (millis)
+    const HOVER_WAIT = 50; // minimum time between updates of the hover readout (millis)
+    const TOOLTIP_OFFSET = 14; // distance of the hover readout from the cursor (pixels)
 
     // Use the globally available utility functions and objects
     const view = µ.view();
@@ -117,6 +119,34 @@
             // Add default magnetic variation settings
             magvarResolution: 8,
             magvarYear: new Date().getFullYear(),
+            magvarDate: '', // "YYYY-MM-DD" the model is evaluated at; empty means January 1st of magvarYear
+            altitude: 0,
+            altitudeUnit: 'ft', // 'ft', 'm' or 'FL'
+            magvarModel: 'wmm',
+            magvarMode: 'vectors',
+            magvarElement: 'decl',
+            showCompassZones: true,
+            showMagneticPoles: true,
+            showPoleDrift: false,
+            poleDriftStart: 2015,
+            poleDriftEnd: 2029,
+            timelineStart: 2015,
+            timelineEnd: 2029,
+            timelineSpeed: 2,
+            isogonicInterval: 5,
+            pins: '', // pinned points as "lat,lon;lat,lon" (see magvar-pins.js)
+            showAirports: true,
+            showWaypoints: true,
+            showNavaids: true,
+            showAirways: true,
+            showAirspace: true,
+            airspaceFloor: 0, // ft, the altitude band airspace is shown for
+            airspaceCeiling: 20000,
+            route: '', // route string, e.g. "EGLL DVR UL9 KONAN EBBR" (see route-planner.js)
+            routeDeclination: 'midpoint', // where each leg's magnetic course takes its declination: 'midpoint' or 'start'
+            showProfile: false,
+            profileSpacing: 25, // NM between the samples of the magnetic profile (see magvar-profile.js)
+            profileElements: 'decl', // comma separated keys of magvarProfile.ELEMENTS to plot
             showMagVarOverlay: true // Assuming checkbox is initially checked
         },
 
@@ -151,6 +181,7 @@
     let meshAgent;
     let globeAgent;
     let magneticModelAgent;
+    let gridAgent;
     let rendererAgent;
 
     // --- Adapted from earth.js core functions ---
@@ -174,6 +205,8 @@
                 // Apply zoom and get the new rotation (simplified manipulator logic)
                 const newRotation = globe.manipulator(currentMouse, currentScale).move(currentMouse, currentScale);
                 globe.projection.rotate(newRotation);
+                // Keep the airways, route and pins anchored to their points
+                drawForeground();
 
                  // Trigger rendering updates on move
                 rendererAgent.trigger("render"); // Trigger the main render function
@@ -189,8 +222,39 @@
              // showLocationDetails is not implemented in this simplified version
              // You can add logic here to display clicked coordinates if needed
              console.log('Clicked at screen coordinates:', mouse, 'geographic coordinates:', coord);
+             // Drop a pin on the clicked point (clicks on an existing pin select it instead, see drawPins), add the
+             // point to the route while fixes are being picked, or take it as an end of the measure line
+             if (coord && isFinite(coord[0]) && isFinite(coord[1])) {
+                 if (measuring) addMeasurePoint(coord);
+                 else if (routePicking) addRouteFix(mouse, coord);
+                 else addPin(coord);
+             }
              const coordDisplay = document.getElementById('clicked-coordinates');
-             if (coordDisplay && coord) coordDisplay.textContent = `Lat: ${coord[1]?.toFixed(2)}°, Lon: ${coord[0]?.toFixed(2)}°`;
+             if (coordDisplay && coord) {
+                 const text = `Lat: ${coord[1]?.toFixed(2)}°, Lon: ${coord[0]?.toFixed(2)}°`;
+                 coordDisplay.textContent = text;
+                 // Read the field from the same registry model the overlay is drawn with
+                 const modelName = configuration.get('magvarModel');
+                 const date = configuredDate();
+                 const key = configuration.get('magvarElement');
+                 const altitude = configuredAltitude();
+                 magneticModels.model(modelName, date, { allowOutOfBoundsModel: true })
+                     .then(model => {
+                         const location = [coord[1], coord[0], altitude.km];
+                         const { decl, h } = model.point(location);
+                         const annualChange = magneticElements.value(model, location, 'decl_sv');
+                         let readout = `${text}, Decl: ${decl.toFixed(2)}°, annual change ${magneticElements.get('decl_sv').format(annualChange)}`;
+                         if (key !== 'decl' && key !== 'decl_sv') {
+                             const element = magneticElements.get(key);
+                             readout += `, ${element.name}: ${element.format(magneticElements.value(model, location, key))}`;
+                         }
+                         readout += ` (${model.name}, ${altitude.label})`;
+                         // Declination can't be trusted near the magnetic poles
+                         const warning = magneticElements.zoneWarning(h);
+                         coordDisplay.textContent = warning ? `${readout} ${warning}` : readout;
+                     })
+                     .catch(error => console.error('Cannot evaluate magnetic field at click:', error));
+             }
         });
 
         // Simplified dispatch - mainly for moveEnd to save orientation
@@ -211,9 +275,76 @@
         // Trigger signalEnd on zoomend (end of drag or zoom)
         zoom.on("zoomend", signalEnd);
 
+        // The navigation symbols sit out drags and zooms (see drawForeground)
+        zoom.on("zoomstart.navigation", () => globeMoving = true);
+        zoom.on("zoomend.navigation", () => {
+            globeMoving = false;
+            drawForeground();
+        });
+
+        // Hover readout: hidden from the start of a drag or zoom until it ends, and otherwise updated at most
+        // every HOVER_WAIT millis. The trailing update of a throttled burst can land mid-drag, so it checks too.
+        const tooltip = d3.select('#magvar-tooltip');
+        let moving = false, hoverMouse = null;
+        const updateHover = _.throttle(() => {
+            if (moving || !hoverMouse) return;
+            showHoverReadout(tooltip, globe, hoverMouse, displayElement.node());
+        }, HOVER_WAIT);
+        zoom.on("zoomstart.hover", () => {
+            moving = true;
+            tooltip.classed("invisible", true);
+        });
+        zoom.on("zoomend.hover", () => {
+            moving = false;
+            updateHover();
+        });
+        displayElement.on("mousemove.hover", function() {
+            hoverMouse = d3.mouse(this);
+            updateHover();
+        });
+        displayElement.on("mouseleave.hover", () => {
+            hoverMouse = null;
+            tooltip.classed("invisible", true);
+        });
+
         return dispatch;
     }
 
+    /**
+     * Shows the magnetic field under the mouse in the tooltip, from the model the overlay is drawn with: the
+     * coordinates, declination in degrees and minutes, inclination, H and F, each with its annual change.
+     * Hides the tooltip when the mouse is off the globe or no model is loaded yet.
+     */
+    function showHoverReadout(tooltip, globe, mouse, container) {
+        const coord = globe.projection.invert(mouse);
+        if (!magModel || !coord || !isFinite(coord[0]) || !isFinite(coord[1])) {
+            tooltip.classed("invisible", true);
+            return;
+        }
+        const [λ, φ] = coord;
+        const location = [φ, λ, magvarAltitude];
+        const { decl, incl, h, f } = magModel.point(location);
+        const rates = magModel.secularVariation(location);
+        const element = key => magneticElements.get(key);
+        const lines = [
+            µ.formatCoordinates(λ, φ),
+            `Decl ${magneticElements.formatDegreesMinutes(decl, 'E', 'W')}  ${element('decl_sv').format(rates.decl * 60)}`,
+            `Incl ${element('incl').format(incl)}  ${element('incl_sv').format(rates.incl * 60)}`,
+            `H ${element('h').format(h)}  ${element('h_sv').format(rates.h)}`,
+            `F ${element('f').format(f)}  ${element('f_sv').format(rates.f)}`,
+            `${magModel.name}, ${isoDay(magvarDate)}, ${magvarAltitudeLabel}`
+        ];
+        const warning = magneticElements.zoneWarning(h);
+        if (warning) lines.push(warning);
+
+        // Keep the tooltip inside the display, flipping it to the other side of the cursor near the edges
+        tooltip.text(lines.join('\n')).classed("invisible", false);
+        const node = tooltip.node(), width = container.clientWidth, height = container.clientHeight;
+        const left = mouse[0] + TOOLTIP_OFFSET + node.offsetWidth > width ? mouse[0] - TOOLTIP_OFFSET - node.offsetWidth : mouse[0] + TOOLTIP_OFFSET;
+        const top = mouse[1] + TOOLTIP_OFFSET + node.offsetHeight > height ? mouse[1] - TOOLTIP_OFFSET - node.offsetHeight : mouse[1] + TOOLTIP_OFFSET;
+        tooltip.style("left", `${Math.max(0, left)}px`).style("top", `${Math.max(0, top)}px`);
+    }
+
     /**
      * @param resource the GeoJSON resource's URL
      * @returns {Object} a promise for GeoJSON topology features (simplified: just returns fetched data)
@@ -261,8 +392,14 @@
          console.log('loadMagneticModel called');
          // Call the globally available updateMagneticModel from magvar-canvas-overlay.js
          if (window.updateMagneticModel) {
-            window.updateMagneticModel();
-            return when.resolve(true); // Use when.resolve
+            // Restore the configured date first; any model it starts building is superseded below
+            window.setMagvarDate(configuredDate());
+            // Restore the configured model; setMagvarModel rebuilds by itself when the model changes.
+            // Models loaded from local files are gone after a reload, so fall back to WMM for those.
+            const configured = configuration.get('magvarModel');
+            const modelName = magneticModels.describe(configured) ? configured : magneticModels.LATEST_WMM;
+            const update = modelName !== magvarModelName ? window.setMagvarModel(modelName) : window.updateMagneticModel();
+            return when.resolve(update).then(() => true); // Use when.resolve
          } else {
              const errorMsg = "updateMagneticModel not available globally.";
              console.error(errorMsg);
@@ -271,6 +408,477 @@
          }
     }
 
+    // Configuration attributes the overlay products are computed from
+    const PRODUCT_ATTRIBUTES = ['overlayType', 'magvarModel', 'magvarDate', 'magvarYear', 'altitude', 'altitudeUnit'];
+
+    /**
+     * Builds the products the overlayType configuration calls for, as in earth.js's buildGrids(). The magnetic
+     * products compute their grids locally from the configured model, so nothing is downloaded.
+     * @returns {Object} a promise for {overlayGrid}, the loaded product or null.
+     */
+    function buildGrids() {
+        const cancel = this.cancel;
+        const selected = products.productsFor(configuration.attributes);
+        return when.all(selected.map(product => product.load(cancel))).then(loaded => {
+            return cancel.requested ? null : { overlayGrid: loaded.find(µ.isValue) || null };
+        });
+    }
+
+    // Pinned points, drawn on the foreground SVG and described in the Pins panel (see magvar-pins.js)
+    let pins = [];
+    let selectedPin = -1;
+    let pinDescriptions = []; // the cards' descriptions, for "copy as text"
+    let pinRefresh = 0; // counts panel refreshes so a slow model load can't overwrite a newer one
+    let nearbyIndex = null; // the airports and navaids indexed for the pin cards, rebuilt after each import
+
+    // Configuration attributes the pin cards are computed from
+    const PIN_ATTRIBUTES = ['magvarModel', 'magvarDate', 'magvarYear', 'altitude', 'altitudeUnit'];
+
+    const IMPORT_LOG_LIMIT = 200; // problems listed after a navigation data import; the rest are only counted
+
+    // Navigation layers and the configuration attribute each toggle is saved under
+    const LAYER_TOGGLES = [
+        ['airports', 'showAirports'], ['waypoints', 'showWaypoints'], ['navaids', 'showNavaids'], ['airways', 'showAirways'],
+        ['airspace', 'showAirspace']
+    ];
+
+    // Enables a layer's toggle when its data is available and restores its state from the configuration
+    function syncLayerToggle(layer, key) {
+        const toggle = document.getElementById(`toggle-layer-${layer}`);
+        if (!toggle) return;
+        // Layers without data (or without js/data.js at all) can't be switched on
+        const available = !!(window.navigationData && window.navigationData.dataAvailable[layer]);
+        toggle.disabled = !available;
+        // Values restored from the hash are strings
+        toggle.checked = available && String(configuration.get(key)) !== 'false';
+        window.visibleLayers[layer] = toggle.checked;
+    }
+
+    /**
+     * Reads a navigation data file: OurAirports CSVs (see ourairports.js) and GeoJSON airspace (see airspace.js) by
+     * their extension, OpenAir airspace by its AC records and anything else as ARINC 424 (see arinc424.js).
+     *
+     * @returns {Promise} the parser's result.
+     */
+    function parseNavigationFile(file) {
+        return file.text().then(text => {
+            if (/\.csv$/i.test(file.name)) return ourAirports.parse(text);
+            if (/\.(geo)?json$/i.test(file.name)) return airspaceData.parseGeoJson(text);
+            if (/^\s*AC\s/m.test(text)) return airspaceData.parseOpenAir(text);
+            return arinc424.parse(text, window.navigationData);
+        });
+    }
+
+    /**
+     * Adds the features of navigation data files to the navigation stores and redraws them. Records that couldn't
+     * be read are listed under the file input rather than failing the import, and a file that can't be read at all
+     * doesn't stop the others.
+     */
+    function importNavigationFiles(files) {
+        const names = files.map(file => file.name).join(', ');
+        if(report) report.status(`Reading ${names}...`); else console.log(`Reading ${names}...`);
+        const log = d3.select('#navdata-import-log');
+        log.selectAll('li').remove();
+
+        const added = {};
+        const problems = [];
+        const imports = files.map(file => parseNavigationFile(file)
+            .then(result => {
+                const counts = window.navigationData.add(result);
+                if (result.errors.length > 0) console.warn(`Imported ${file.name} with ${result.errors.length} errors:`, counts);
+                Object.keys(counts).forEach(key => added[key] = (added[key] || 0) + counts[key]);
+                result.errors.forEach(error => {
+                    problems.push(`${file.name} line ${error.line}${error.record ? ` (${error.record})` : ''}: ${error.message}`);
+                });
+            })
+            .catch(error => problems.push(`${file.name}: ${error.message}`)));
+
+        return Promise.all(imports).then(() => {
+            problems.slice(0, IMPORT_LOG_LIMIT).forEach(problem => log.append('li').text(problem));
+            if (problems.length > IMPORT_LOG_LIMIT) log.append('li').text(`...and ${problems.length - IMPORT_LOG_LIMIT} more`);
+            log.classed('invisible', problems.length === 0);
+
+            const counts = Object.keys(added).filter(key => added[key] > 0).map(key => `${added[key]} ${key}`);
+            const summary = `${names}: ${counts.join(', ') || 'nothing'} added`;
+            const status = problems.length ? `${summary}, ${problems.length} problems` : summary;
+            if(report) report.status(status); else console.log(status);
+
+            LAYER_TOGGLES.forEach(([layer, key]) => syncLayerToggle(layer, key));
+            drawForeground();
+            nearbyIndex = null;
+            refreshPinPanel();
+            refreshRoute(); // identifiers in the route may only now resolve
+        });
+    }
+
+    // A drag or zoom is under way. Rebuilding the navigation symbols for every frame of it stalls the globe once
+    // tens of thousands of airports are imported, so they are hidden until it ends and then drawn again
+    let globeMoving = false;
+
+    // Redraws the foreground SVG with the globe's projection: airspace (airspace-layer.js) under airways
+    // (airway-layer.js) under the navigation symbols (navigation-layer.js) under the route, the measure line
+    // (measure-tool.js) and the pins
+    function drawForeground() {
+        const globe = globeAgent && globeAgent.value();
+        if (!globe) return;
+        d3.select('#foreground g.navigation').style('display', globeMoving ? 'none' : null);
+        if (!globeMoving && window.renderNavigationData) window.renderNavigationData(globe.projection);
+        drawAirways();
+        drawAirspace();
+        drawRoute();
+        drawMeasure();
+        drawPins();
+    }
+
+    // Draws the airspace (airspace-layer.js) overlapping the configured altitude band
+    function drawAirspace() {
+        const globe = globeAgent && globeAgent.value();
+        if (!globe || !window.navigationData) return;
+        const band = {
+            floor: parseFloat(configuration.get('airspaceFloor')),
+            ceiling: parseFloat(configuration.get('airspaceCeiling'))
+        };
+        const visible = !!window.visibleLayers.airspace;
+        airspaceLayer.draw(d3.select('#foreground'), globe.projection, window.navigationData.airspace, visible, band);
+    }
+
+    // The airway segment whose details are shown, as its key (see airwayLayer.segments), or null
+    let selectedAirwaySegment = null;
+
+    // Declination from the overlay's model at the configured altitude, for the airways' magnetic courses
+    function modelDeclination(lat, lon) {
+        return magModel ? magModel.point([lat, lon, magvarAltitude]).decl : null;
+    }
+
+    function drawAirways() {
+        const globe = globeAgent && globeAgent.value();
+        if (!globe || !window.navigationData) return;
+        const visible = !!window.visibleLayers.airways;
+        if (!visible && selectedAirwaySegment) selectAirwaySegment(null);
+        airwayLayer.draw(d3.select('#foreground'), globe.projection, window.navigationData.airways, visible, {
+            declination: modelDeclination,
+            selected: selectedAirwaySegment,
+            onSelect: selectAirwaySegment
+        });
+    }
+
+    // Shows the details of a clicked airway segment, or hides them for null
+    function selectAirwaySegment(segment) {
+        selectedAirwaySegment = segment ? segment.key : null;
+        const description = segment ? airwayLayer.describe(segment, modelDeclination, magModel ? magModel.name : '') : null;
+        airwayLayer.renderDetails(document.getElementById('airway-details'), description, () => {
+            selectAirwaySegment(null);
+            drawAirways();
+        });
+        if (segment) drawAirways();
+    }
+
+    function drawPins() {
+        const globe = globeAgent && globeAgent.value();
+        if (!globe) return;
+        magvarPins.draw(d3.select('#foreground'), globe.projection, pins, selectedPin, selectPin);
+    }
+
+    function savePins() {
+        configuration.save({pins: magvarPins.serialize(pins)});
+    }
+
+    // Shows the Pins panel the way a click on its sidebar item does
+    function showPinPanel() {
+        const item = document.querySelector('.sidebar-item[data-panel="pins"]');
+        if (item && !item.classList.contains('active')) item.click();
+    }
+
+    function selectPin(i) {
+        selectedPin = i;
+        drawPins();
+        refreshPinPanel();
+        showPinPanel();
+    }
+
+    function addPin(coord) {
+        pins.push({lat: coord[1], lon: coord[0]});
+        savePins();
+        selectPin(pins.length - 1);
+    }
+
+    function removePin(i) {
+        pins.splice(i, 1);
+        selectedPin = selectedPin === i ? -1 : selectedPin > i ? selectedPin - 1 : selectedPin;
+        savePins();
+        drawPins();
+        refreshPinPanel();
+    }
+
+    function copyPin(i) {
+        const description = pinDescriptions[i];
+        if (!description) return;
+        const text = magvarPins.toText(description);
+        const copied = navigator.clipboard ? navigator.clipboard.writeText(text) : Promise.reject(new Error("clipboard not available"));
+        copied.then(
+            () => {
+                const message = `Pin ${i + 1} copied to the clipboard`;
+                if(report) report.status(message); else console.log(message);
+            },
+            error => {
+                const message = `Cannot copy pin ${i + 1}: ${error.message}`;
+                if(report) report.error(message); else console.error(message);
+            });
+    }
+
+    // Rebuilds the pin cards with the configured model, date and altitude, like the click readout
+    function refreshPinPanel() {
+        const container = document.getElementById('pin-list');
+        if (!container) return;
+        const refresh = ++pinRefresh;
+        const altitude = configuredAltitude();
+        const handlers = { select: selectPin, copy: copyPin, remove: removePin };
+        magneticModels.model(configuration.get('magvarModel'), configuredDate(), { allowOutOfBoundsModel: true })
+            .then(model => {
+                if (refresh !== pinRefresh) return;
+                if (!nearbyIndex && window.navigationData) nearbyIndex = magvarPins.index(window.navigationData);
+                pinDescriptions = pins.map(pin => magvarPins.describe(pin, model, altitude, nearbyIndex));
+                magvarPins.renderPanel(container, pinDescriptions, selectedPin, handlers);
+            })
+            .catch(error => console.error('Cannot describe pins:', error));
+    }
+
+    // The planned route (see route-planner.js), resolved from the route string in the configuration
+    let route = { fixes: [], errors: [] };
+    let routePicking = false; // clicks on the globe add fixes to the route instead of pins
+    let routeRefresh = 0; // counts legs refreshes so a slow model load can't overwrite a newer one
+    const PICK_RADIUS = 10; // px from a navigation symbol within which a click picks it
+
+    // The last profile drawn along the route, kept to redraw it at the new width when the window is resized
+    let routeProfile = null;
+
+    // Configuration attributes the route's legs and profile are computed from
+    const ROUTE_ATTRIBUTES = PIN_ATTRIBUTES.concat(['route', 'routeDeclination', 'showProfile', 'profileSpacing', 'profileElements']);
+
+    function drawRoute() {
+        const globe = globeAgent && globeAgent.value();
+        if (!globe) return;
+        routePlanner.draw(d3.select('#foreground'), globe.projection, route.fixes);
+    }
+
+    // Resolves the route string and rebuilds the legs with the configured model, date and altitude, like the pin cards
+    function refreshRoute() {
+        route = routePlanner.parse(configuration.get('route'), window.navigationData || {});
+        drawRoute();
+        const container = document.getElementById('route-legs');
+        if (!container) return;
+        const refresh = ++routeRefresh;
+        const altitude = configuredAltitude();
+        const convention = configuration.get('routeDeclination');
+        magneticModels.model(configuration.get('magvarModel'), configuredDate(), { allowOutOfBoundsModel: true })
+            .then(model => {
+                if (refresh !== routeRefresh) return;
+                const declination = (lat, lon) => model.point([lat, lon, altitude.km]).decl;
+                routePlanner.renderPanel(container, routePlanner.legs(route.fixes, declination, convention), route.errors);
+                showProfile(model, altitude);
+            })
+            .catch(error => console.error('Cannot work out route legs:', error));
+    }
+
+    // Plots the magnetic profile along the route under the globe, or hides it when switched off or without a route
+    function showProfile(model, altitude) {
+        const container = document.getElementById('profile');
+        if (!container) return;
+        const shown = String(configuration.get('showProfile')) === 'true' && route.fixes.length > 1;
+        d3.select(container).classed('invisible', !shown);
+        routeProfile = null;
+        if (!shown) return;
+        const spacing = Math.max(1, parseFloat(configuration.get('profileSpacing')) || 25);
+        // Coordinates picked on the globe are marked unlabelled
+        const points = route.fixes.map(fix => ({ id: fix.kind === 'point' ? '' : fix.id, lat: fix.lat, lon: fix.lon }));
+        routeProfile = magvarProfile.sample(points, model, altitude.km, spacing);
+        drawProfile();
+    }
+
+    function drawProfile() {
+        if (!routeProfile) return;
+        const elements = String(configuration.get('profileElements') || 'decl').split(',');
+        magvarProfile.draw(document.getElementById('profile'), routeProfile, elements);
+    }
+
+    // Adds the navigation symbol nearest the clicked point to the route, or the point itself if none is close enough
+    function addRouteFix(mouse, coord) {
+        const globe = globeAgent && globeAgent.value();
+        if (!globe) return;
+        const nearby = window.navigationData
+            ? navigationLayer.visibleFeatures(globe.projection, window.navigationData, window.visibleLayers)
+            : [];
+        const pixels = d => Math.hypot(d.point[0] - mouse[0], d.point[1] - mouse[1]);
+        const closest = nearby.length > 0 ? _.min(nearby, pixels) : null;
+        const token = closest && pixels(closest) <= PICK_RADIUS
+            ? closest.feature.id
+            : `${coord[1].toFixed(4)},${coord[0].toFixed(4)}`;
+        const text = [String(configuration.get('route') || '').trim(), token].filter(Boolean).join(' ');
+        const input = document.getElementById('route-string');
+        if (input) input.value = text;
+        configuration.save({route: text});
+    }
+
+    // The measure line's ends (see measure-tool.js): clicks on the globe set them instead of dropping pins while
+    // measuring, the third click starting a new line
+    let measurePoints = [];
+    let measuring = false;
+    let measureRefresh = 0; // counts comparison refreshes so a slow model load can't overwrite a newer one
+
+    function drawMeasure() {
+        const globe = globeAgent && globeAgent.value();
+        if (!globe) return;
+        measureTool.draw(d3.select('#foreground'), globe.projection, measurePoints);
+    }
+
+    function addMeasurePoint(coord) {
+        if (measurePoints.length === 2) measurePoints = [];
+        measurePoints.push({lat: coord[1], lon: coord[0]});
+        drawMeasure();
+        refreshMeasure();
+    }
+
+    // Compares the great circle and rhumb line with the configured model, date and altitude, like the pin cards
+    function refreshMeasure() {
+        const container = document.getElementById('measure-results');
+        if (!container) return;
+        const refresh = ++measureRefresh;
+        if (measurePoints.length < 2) {
+            measureTool.renderPanel(container, measurePoints, null, '');
+            return;
+        }
+        const altitude = configuredAltitude();
+        magneticModels.model(configuration.get('magvarModel'), configuredDate(), { allowOutOfBoundsModel: true })
+            .then(model => {
+                if (refresh !== measureRefresh) return;
+                const declination = (lat, lon) => model.point([lat, lon, altitude.km]).decl;
+                const [a, b] = measurePoints;
+                measureTool.renderPanel(container, measurePoints, measureTool.compare(a, b, declination), model.name);
+            })
+            .catch(error => console.error('Cannot compare measure paths:', error));
+    }
+
+    // Time-lapse state: the year change in flight (navigation requests are ignored until it completes, like the
+    // download check in Cambecc's navigate()) and the pending playback tick
+    let yearChangeInProgress = false;
+    let playbackTimer = null;
+
+    function timelineRange() {
+        const start = parseInt(configuration.get('timelineStart')), end = parseInt(configuration.get('timelineEnd'));
+        return { start: Math.max(1900, Math.min(start, end)), end: Math.min(2030, Math.max(start, end)) };
+    }
+
+    // The configured altitude as {km, label}
+    function configuredAltitude() {
+        const value = parseFloat(configuration.get('altitude')) || 0, unit = configuration.get('altitudeUnit');
+        return { km: magneticElements.altitudeKm(value, unit), label: magneticElements.formatAltitude(value, unit) };
+    }
+
+    function isoDay(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * @returns {Date} the configured magnetic model date: magvarDate if it is a valid "YYYY-MM-DD", otherwise
+     *          January 1st (UTC) of magvarYear.
+     */
+    function configuredDate() {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(configuration.get('magvarDate') || '');
+        if (match) {
+            const date = new Date(Date.UTC(+match[1], match[2] - 1, +match[3]));
+            if (!isNaN(date.getTime())) return date;
+        }
+        return new Date(Date.UTC(parseInt(configuration.get('magvarYear')) || new Date().getFullYear(), 0, 1));
+    }
+
+    // Saves the date to the hash configuration, keeping magvarYear in step for older links and the year controls
+    function saveDate(date) {
+        configuration.save({magvarYear: date.getUTCFullYear(), magvarDate: isoDay(date)});
+    }
+
+    // Shows the date on the year, date and decimal year inputs and the timeline scrubber
+    function showDate(date) {
+        const yearInput = document.getElementById('magvar-year');
+        const dateInput = document.getElementById('magvar-date');
+        const decimalInput = document.getElementById('magvar-decimal-year');
+        const scrubber = document.getElementById('timeline-year');
+        if (yearInput) yearInput.value = date.getUTCFullYear();
+        if (dateInput) dateInput.value = isoDay(date);
+        if (decimalInput) decimalInput.value = decimalYear(date).toFixed(2);
+        if (scrubber) scrubber.value = date.getUTCFullYear();
+    }
+
+    function showYear(year) {
+        showDate(new Date(Date.UTC(year, 0, 1)));
+    }
+
+    /**
+     * Moves the overlay to the given year, kept within the timeline range.
+     * @returns {Object} a promise that resolves once the year is drawn, or null if a change is already in progress.
+     */
+    function goToYear(year, save) {
+        if (yearChangeInProgress) {
+            console.log("Year change in progress--ignoring nav request.");
+            return null;
+        }
+        const { start, end } = timelineRange();
+        const next = Math.max(start, Math.min(end, year));
+        showYear(next);
+        if (save) saveDate(new Date(Date.UTC(next, 0, 1)));
+        yearChangeInProgress = true;
+        return when.resolve(window.setMagvarYear(next)).ensure(() => { yearChangeInProgress = false; });
+    }
+
+    /**
+     * Steps the overlay forward or backward by the given number of years.
+     */
+    function navigate(step, save = true) {
+        return goToYear(magvarYear + step, save);
+    }
+
+    function pausePlayback() {
+        if (playbackTimer) clearTimeout(playbackTimer);
+        playbackTimer = null;
+        const playButton = document.getElementById('timeline-play');
+        if (playButton) playButton.textContent = '▶';
+        // The hash is only updated once playback stops, not for every frame
+        saveDate(magvarDate);
+    }
+
+    function startPlayback() {
+        const { start, end } = timelineRange();
+        const playButton = document.getElementById('timeline-play');
+        if (playButton) playButton.textContent = '⏸';
+        const first = magvarYear >= end || magvarYear < start ? goToYear(start, false) : null;
+
+        // Each tick waits for the previous year to be drawn, then for the rest of the frame time
+        const tick = () => {
+            if (magvarYear >= timelineRange().end) {
+                pausePlayback();
+                return;
+            }
+            const started = Date.now();
+            const frame = 1000 / (parseFloat(configuration.get('timelineSpeed')) || 1);
+            when.resolve(navigate(+1, false)).then(() => {
+                if (!playbackTimer) return; // Paused meanwhile
+                playbackTimer = setTimeout(tick, Math.max(0, frame - (Date.now() - started)));
+            });
+        };
+        playbackTimer = setTimeout(() => when.resolve(first).then(tick), 0);
+    }
+
+    // Fills the model selector with every model in the registry, keeping the static first option ("wmm")
+    function populateModelSelect(select) {
+        while (select.options.length > 1) select.remove(1);
+        magneticModels.list().forEach(model => {
+            const option = document.createElement('option');
+            option.value = model.name;
+            option.textContent = `${model.label} (epoch ${model.epoch})`;
+            option.title = `Valid ${model.startDate.toISOString().slice(0, 10)} to ${model.endDate.toISOString().slice(0, 10)}`;
+            select.appendChild(option);
+        });
+    }
+
     // Main rendering function - called when globe or data updates
     function render() {
         console.log('Main render called');
@@ -307,6 +915,8 @@
              if(report) report.error(errorMsg); // Report error if report is initialized
         }
 
+        drawForeground();
+
         if(report) report.status(""); else console.log("Rendering finished.");
     }
 
@@ -342,11 +952,31 @@
         meshAgent = newAgent();
         globeAgent = newAgent();
         magneticModelAgent = newAgent();
+        gridAgent = newAgent();
         rendererAgent = newAgent();
 
         // Fetch initial configuration from hash
         configuration.fetch();
 
+        // Restore the pins saved in the hash
+        pins = magvarPins.parse(configuration.get('pins'));
+        refreshPinPanel();
+        configuration.on('change', () => {
+            if (_.intersection(_.keys(configuration.changedAttributes()), PIN_ATTRIBUTES).length > 0) refreshPinPanel();
+        });
+
+        // Resolve the route saved in the hash, and again whenever it or the model it's worked out with changes
+        refreshRoute();
+        configuration.on('change', () => {
+            if (_.intersection(_.keys(configuration.changedAttributes()), ROUTE_ATTRIBUTES).length > 0) refreshRoute();
+        });
+
+        // Rework the measure line's magnetic bearings when the model they're taken from changes
+        refreshMeasure();
+        configuration.on('change', () => {
+            if (_.intersection(_.keys(configuration.changedAttributes()), PIN_ATTRIBUTES).length > 0) refreshMeasure();
+        });
+
         // Build mesh data first
         meshAgent.submit(buildMesh, './MagVar3D_v3/ne_110m_land.geojson'); // Use your land data path
 
@@ -388,6 +1018,21 @@
 
         // Trigger rendering when globe, mesh data, or magnetic model updates
         // This is a simplified trigger - in a real app, rendering would be more orchestrated
+        // Rebuild the overlay product whenever an attribute it is computed from changes
+        gridAgent.submit(buildGrids);
+        gridAgent.listenTo(configuration, 'change', () => {
+            const changed = _.keys(configuration.changedAttributes());
+            if (_.intersection(changed, PRODUCT_ATTRIBUTES).length > 0) {
+                gridAgent.submit(buildGrids);
+            }
+        });
+        gridAgent.on('update', grids => {
+            const product = grids ? grids.overlayGrid : null;
+            if (window.setMagvarProduct) window.setMagvarProduct(product);
+            const elementSelect = document.getElementById('magvar-element');
+            if (product && elementSelect) elementSelect.value = product.element;
+        });
+
         rendererAgent.listenTo(globeAgent, 'update', render);
         rendererAgent.listenTo(meshAgent, 'update', render);
         magneticModelAgent.on('update', render);
@@ -413,30 +1058,483 @@
             });
         }
 
+         // Wire up the compass zones toggle checkbox
+        const zonesToggle = document.getElementById('toggle-compass-zones');
+        if (zonesToggle) {
+             console.log('Wiring up compass zones toggle');
+             // Set initial state based on config
+            // Values restored from the hash are strings
+            zonesToggle.checked = String(configuration.get('showCompassZones')) !== 'false';
+            if (window.setCompassZones) window.setCompassZones(zonesToggle.checked);
+
+            zonesToggle.addEventListener('change', () => {
+                const isChecked = zonesToggle.checked;
+                console.log('Compass zones toggle changed:', isChecked);
+                 // Call the globally available setCompassZones
+                if (window.setCompassZones) {
+                     window.setCompassZones(isChecked);
+                }
+                 // Update config
+                configuration.save({showCompassZones: isChecked});
+            });
+        }
+
+         // Wire up the magnetic poles toggle checkbox
+        const polesToggle = document.getElementById('toggle-magnetic-poles');
+        if (polesToggle) {
+             console.log('Wiring up magnetic poles toggle');
+             // Set initial state based on config (values restored from the hash are strings)
+            polesToggle.checked = String(configuration.get('showMagneticPoles')) !== 'false';
+            if (window.setMagneticPoles) window.setMagneticPoles(polesToggle.checked);
+
+            polesToggle.addEventListener('change', () => {
+                const isChecked = polesToggle.checked;
+                console.log('Magnetic poles toggle changed:', isChecked);
+                 // Call the globally available setMagneticPoles
+                if (window.setMagneticPoles) {
+                     window.setMagneticPoles(isChecked);
+                }
+                 // Update config
+                configuration.save({showMagneticPoles: isChecked});
+            });
+        }
+
+         // Wire up the navigation layer toggles; window.visibleLayers tells navigation-layer.js what to draw
+        LAYER_TOGGLES.forEach(([layer, key]) => {
+            const toggle = document.getElementById(`toggle-layer-${layer}`);
+            if (!toggle) return;
+            console.log(`Wiring up ${layer} layer toggle`);
+            syncLayerToggle(layer, key);
+
+            toggle.addEventListener('change', () => {
+                console.log(`${layer} layer toggle changed:`, toggle.checked);
+                window.visibleLayers[layer] = toggle.checked;
+                drawForeground();
+                 // Update config
+                configuration.save({[key]: toggle.checked});
+            });
+        });
+
+         // Wire up the airspace altitude band
+        const airspaceFloorInput = document.getElementById('airspace-floor');
+        const airspaceCeilingInput = document.getElementById('airspace-ceiling');
+        if (airspaceFloorInput && airspaceCeilingInput) {
+             console.log('Wiring up airspace altitude band');
+            airspaceFloorInput.value = configuration.get('airspaceFloor');
+            airspaceCeilingInput.value = configuration.get('airspaceCeiling');
+
+            const applyAirspaceBand = () => {
+                const floor = parseFloat(airspaceFloorInput.value), ceiling = parseFloat(airspaceCeilingInput.value);
+                if (!(floor >= 0 && ceiling >= floor)) {
+                    alert("Please enter an airspace band with its floor at or below its ceiling.");
+                    return;
+                }
+                console.log('Airspace band changed:', floor, ceiling);
+                 // Update config
+                configuration.save({airspaceFloor: floor, airspaceCeiling: ceiling});
+                drawForeground();
+            };
+            airspaceFloorInput.addEventListener('change', applyAirspaceBand);
+            airspaceCeilingInput.addEventListener('change', applyAirspaceBand);
+        }
+
+         // Wire up the pole drift toggle and its year range
+        const driftToggle = document.getElementById('toggle-pole-drift');
+        const driftStartInput = document.getElementById('pole-drift-start');
+        const driftEndInput = document.getElementById('pole-drift-end');
+        if (driftToggle && driftStartInput && driftEndInput) {
+             console.log('Wiring up pole drift controls');
+             // Set initial state based on config
+            driftToggle.checked = String(configuration.get('showPoleDrift')) === 'true';
+            driftStartInput.value = configuration.get('poleDriftStart');
+            driftEndInput.value = configuration.get('poleDriftEnd');
+
+            const applyPoleDrift = () => {
+                const start = parseInt(driftStartInput.value), end = parseInt(driftEndInput.value);
+                if (!(start >= 1900 && end <= 2030 && start < end)) {
+                    alert("Please enter a pole drift range between 1900 and 2030, start before end.");
+                    return;
+                }
+                console.log('Pole drift changed:', driftToggle.checked, start, end);
+                 // Call the globally available setPoleDrift
+                if (window.setPoleDrift) {
+                     window.setPoleDrift(driftToggle.checked ? { start, end } : null);
+                }
+                 // Update config
+                configuration.save({showPoleDrift: driftToggle.checked, poleDriftStart: start, poleDriftEnd: end});
+            };
+            if (driftToggle.checked && window.setPoleDrift) {
+                window.setPoleDrift({ start: parseInt(driftStartInput.value), end: parseInt(driftEndInput.value) });
+            }
+
+            driftToggle.addEventListener('change', applyPoleDrift);
+            driftStartInput.addEventListener('change', applyPoleDrift);
+            driftEndInput.addEventListener('change', applyPoleDrift);
+        }
+
          // Wire up year input
         const yearInput = document.getElementById('magvar-year');
         if (yearInput) {
              console.log('Wiring up year input');
-             // Set initial value based on config
-             yearInput.value = configuration.get('magvarYear') || new Date().getFullYear();
+             // Set initial values of the year, date and decimal year inputs based on config
+             showDate(configuredDate());
 
             yearInput.addEventListener('change', () => {
                 const year = parseInt(yearInput.value);
                 if (year >= 1900 && year <= 2030) {
                     console.log('Year changed to:', year);
+                    showYear(year);
                      // Call the globally available setMagvarYear
                     if (window.setMagvarYear) {
                          window.setMagvarYear(year);
                          // render() is called within setMagvarYear via updateMagneticModel
                     }
                      // Update config
-                    configuration.save({magvarYear: year});
+                    saveDate(new Date(Date.UTC(year, 0, 1)));
                 } else {
                     alert("Please enter a year between 1900 and 2030.");
                 }
             });
         }
 
+         // Wire up the exact date picker and decimal year field
+        const dateInput = document.getElementById('magvar-date');
+        const decimalInput = document.getElementById('magvar-decimal-year');
+        const applyDate = date => {
+            if (isNaN(date.getTime()) || date.getUTCFullYear() < 1900 || date.getUTCFullYear() > 2030) {
+                alert("Please enter a date between 1900 and 2030.");
+                showDate(magvarDate);
+                return;
+            }
+            console.log('Date changed to:', date.toISOString());
+            showDate(date);
+             // Call the globally available setMagvarDate
+            if (window.setMagvarDate) {
+                 window.setMagvarDate(date);
+            }
+             // Update config
+            saveDate(date);
+        };
+        if (dateInput) {
+            // valueAsDate reads the picked day as midnight UTC
+            dateInput.addEventListener('change', () => dateInput.valueAsDate && applyDate(dateInput.valueAsDate));
+        }
+        if (decimalInput) {
+            // The hash stores whole days, so the decimal year is rounded to the nearest day
+            decimalInput.addEventListener('change', () => {
+                const exact = dateFromDecimalYear(parseFloat(decimalInput.value));
+                const day = 86400000;
+                applyDate(new Date(Math.round(exact.getTime() / day) * day));
+            });
+        }
+
+         // Wire up the altitude input and its unit
+        const altitudeInput = document.getElementById('magvar-altitude');
+        const altitudeUnitSelect = document.getElementById('magvar-altitude-unit');
+        if (altitudeInput && altitudeUnitSelect) {
+             console.log('Wiring up altitude controls');
+             // Set initial values based on config
+            altitudeInput.value = parseFloat(configuration.get('altitude')) || 0;
+            altitudeUnitSelect.value = configuration.get('altitudeUnit') || 'ft';
+            const initial = configuredAltitude();
+            if (window.setMagvarAltitude) window.setMagvarAltitude(initial.km, initial.label);
+
+            const applyAltitude = () => {
+                const value = parseFloat(altitudeInput.value) || 0, unit = altitudeUnitSelect.value;
+                const km = magneticElements.altitudeKm(value, unit);
+                const [lowest, highest] = magneticElements.ALTITUDE_RANGE_KM;
+                if (km < lowest || km > highest) {
+                    alert(`Please enter an altitude between ${lowest} km and ${highest} km.`);
+                    return;
+                }
+                console.log('Altitude changed to:', value, unit);
+                 // Call the globally available setMagvarAltitude
+                if (window.setMagvarAltitude) {
+                     window.setMagvarAltitude(km, magneticElements.formatAltitude(value, unit));
+                }
+                 // Update config
+                configuration.save({altitude: value, altitudeUnit: unit});
+            };
+            altitudeInput.addEventListener('change', applyAltitude);
+            altitudeUnitSelect.addEventListener('change', applyAltitude);
+        }
+
+         // Wire up the time-lapse scrubber, step buttons, range and speed
+        const scrubber = document.getElementById('timeline-year');
+        const timelineStartInput = document.getElementById('timeline-start');
+        const timelineEndInput = document.getElementById('timeline-end');
+        const speedSelect = document.getElementById('timeline-speed');
+        const playButton = document.getElementById('timeline-play');
+        if (scrubber && timelineStartInput && timelineEndInput && speedSelect && playButton) {
+             console.log('Wiring up time-lapse controls');
+             // Set initial values based on config
+            const applyRange = () => {
+                const { start, end } = timelineRange();
+                timelineStartInput.value = start;
+                timelineEndInput.value = end;
+                scrubber.min = start;
+                scrubber.max = end;
+                scrubber.value = configuration.get('magvarYear');
+            };
+            applyRange();
+            speedSelect.value = configuration.get('timelineSpeed');
+
+            scrubber.addEventListener('input', () => goToYear(parseInt(scrubber.value), false));
+            scrubber.addEventListener('change', () => saveDate(new Date(Date.UTC(parseInt(scrubber.value), 0, 1))));
+            d3.select('#timeline-backward').on('click', navigate.bind(null, -1, true));
+            d3.select('#timeline-forward').on('click', navigate.bind(null, +1, true));
+            playButton.addEventListener('click', () => playbackTimer ? pausePlayback() : startPlayback());
+
+            const saveRange = () => {
+                const start = parseInt(timelineStartInput.value), end = parseInt(timelineEndInput.value);
+                if (!(start >= 1900 && end <= 2030 && start < end)) {
+                    alert("Please enter a time-lapse range between 1900 and 2030, start before end.");
+                    applyRange();
+                    return;
+                }
+                configuration.save({timelineStart: start, timelineEnd: end});
+                applyRange();
+            };
+            timelineStartInput.addEventListener('change', saveRange);
+            timelineEndInput.addEventListener('change', saveRange);
+            speedSelect.addEventListener('change', () => configuration.save({timelineSpeed: parseFloat(speedSelect.value)}));
+        }
+
+         // Wire up model selector
+        const modelSelect = document.getElementById('magvar-model');
+        if (modelSelect) {
+             console.log('Wiring up model selector');
+             populateModelSelect(modelSelect);
+             // Set initial value based on config
+             modelSelect.value = configuration.get('magvarModel') || magneticModels.LATEST_WMM;
+
+            modelSelect.addEventListener('change', () => {
+                const modelName = modelSelect.value;
+                console.log('Model changed to:', modelName);
+                 // Call the globally available setMagvarModel
+                if (window.setMagvarModel) {
+                     window.setMagvarModel(modelName);
+                     // render() is called within setMagvarModel via updateMagneticModel
+                }
+                 // Update config
+                configuration.save({magvarModel: modelName});
+            });
+        }
+
+         // Wire up model file input (.COF or IGRF coefficient tables)
+        const modelFileInput = document.getElementById('magvar-model-file');
+        if (modelFileInput && modelSelect) {
+             console.log('Wiring up model file input');
+            modelFileInput.addEventListener('change', () => {
+                const file = modelFileInput.files[0];
+                if (!file) return;
+                file.text()
+                    .then(text => {
+                        const name = `file:${file.name}`;
+                        // IGRF tables carry a "g/h n m epoch..." header line; anything else is read as .COF
+                        const entry = /^g\/h\s/m.test(text)
+                            ? magneticModels.registerIgrf(name, { text, label: file.name })
+                            : magneticModels.registerCof(name, { text });
+                        console.log('Registered magnetic model from file:', entry);
+                        populateModelSelect(modelSelect);
+                        modelSelect.value = name;
+                        modelSelect.dispatchEvent(new Event('change'));
+                    })
+                    .catch(error => report.error(`Cannot load ${file.name}: ${error.message}`));
+            });
+        }
+
+         // Wire up the route planner
+        const routeInput = document.getElementById('route-string');
+        const routeDeclinationSelect = document.getElementById('route-declination');
+        const routePickButton = document.getElementById('route-pick');
+        const routeClearButton = document.getElementById('route-clear');
+        if (routeInput && routeDeclinationSelect && routePickButton && routeClearButton) {
+             console.log('Wiring up route planner');
+             // Set initial values based on config
+            routeInput.value = configuration.get('route') || '';
+            routeDeclinationSelect.value = configuration.get('routeDeclination');
+            if (routeDeclinationSelect.selectedIndex < 0) routeDeclinationSelect.value = 'midpoint';
+
+            routeInput.addEventListener('change', () => {
+                const text = routeInput.value.trim().replace(/\s+/g, ' ');
+                console.log('Route changed to:', text);
+                configuration.save({route: text});
+            });
+            routeDeclinationSelect.addEventListener('change', () => {
+                console.log('Route declination convention changed to:', routeDeclinationSelect.value);
+                configuration.save({routeDeclination: routeDeclinationSelect.value});
+            });
+            routePickButton.addEventListener('click', () => {
+                routePicking = !routePicking;
+                routePickButton.classList.toggle('active', routePicking);
+                routePickButton.textContent = routePicking ? 'Stop picking' : 'Pick fixes on the globe';
+                if (routePicking && measuring) document.getElementById('measure-pick').click();
+            });
+            routeClearButton.addEventListener('click', () => {
+                routeInput.value = '';
+                configuration.save({route: ''});
+            });
+        }
+
+         // Wire up the measure tool
+        const measurePickButton = document.getElementById('measure-pick');
+        const measureClearButton = document.getElementById('measure-clear');
+        if (measurePickButton && measureClearButton) {
+             console.log('Wiring up measure tool');
+            measurePickButton.addEventListener('click', () => {
+                measuring = !measuring;
+                measurePickButton.classList.toggle('active', measuring);
+                measurePickButton.textContent = measuring ? 'Stop measuring' : 'Measure on the globe';
+                // Clicks can only go one way, so picking route fixes stops while measuring
+                if (measuring && routePicking && routePickButton) routePickButton.click();
+            });
+            measureClearButton.addEventListener('click', () => {
+                measurePoints = [];
+                drawMeasure();
+                refreshMeasure();
+            });
+        }
+
+         // Wire up the magnetic profile along the route
+        const profileToggle = document.getElementById('toggle-profile');
+        const profileSpacingInput = document.getElementById('profile-spacing');
+        const profileInclToggle = document.getElementById('profile-incl');
+        const profileHToggle = document.getElementById('profile-h');
+        if (profileToggle && profileSpacingInput && profileInclToggle && profileHToggle) {
+             console.log('Wiring up magnetic profile controls');
+             // Set initial values based on config; values restored from the hash are strings
+            profileToggle.checked = String(configuration.get('showProfile')) === 'true';
+            profileSpacingInput.value = configuration.get('profileSpacing');
+            const elements = String(configuration.get('profileElements')).split(',');
+            profileInclToggle.checked = elements.indexOf('incl') >= 0;
+            profileHToggle.checked = elements.indexOf('h') >= 0;
+
+            profileToggle.addEventListener('change', () => {
+                console.log('Magnetic profile toggle changed:', profileToggle.checked);
+                configuration.save({showProfile: profileToggle.checked});
+            });
+            profileSpacingInput.addEventListener('change', () => {
+                const spacing = parseFloat(profileSpacingInput.value);
+                if (!(spacing >= 1)) {
+                    alert("Please enter a sample spacing of at least 1 NM.");
+                    return;
+                }
+                console.log('Magnetic profile spacing changed:', spacing);
+                configuration.save({profileSpacing: spacing});
+            });
+            const applyProfileElements = () => {
+                const keys = ['decl'];
+                if (profileInclToggle.checked) keys.push('incl');
+                if (profileHToggle.checked) keys.push('h');
+                console.log('Magnetic profile elements changed:', keys);
+                configuration.save({profileElements: keys.join(',')});
+            };
+            profileInclToggle.addEventListener('change', applyProfileElements);
+            profileHToggle.addEventListener('change', applyProfileElements);
+            window.addEventListener('resize', _.debounce(drawProfile, MOVE_END_WAIT));
+        }
+
+         // Wire up navigation data import: the file input, or files dropped anywhere on the page
+        const navdataFileInput = document.getElementById('navdata-file');
+        if (navdataFileInput && window.navigationData) {
+             console.log('Wiring up navigation data import');
+            navdataFileInput.addEventListener('change', () => {
+                const files = Array.from(navdataFileInput.files);
+                if (files.length > 0) importNavigationFiles(files);
+                navdataFileInput.value = ''; // so the same file can be chosen again
+            });
+            document.addEventListener('dragover', event => event.preventDefault());
+            document.addEventListener('drop', event => {
+                event.preventDefault();
+                const files = Array.from(event.dataTransfer.files);
+                if (files.length > 0) importNavigationFiles(files);
+            });
+        }
+
+         // Wire up field element selector
+        const elementSelect = document.getElementById('magvar-element');
+        if (elementSelect) {
+             console.log('Wiring up field element selector');
+             // Set initial value based on config
+             elementSelect.value = configuration.get('magvarElement') || 'decl';
+             if (window.setMagvarElement) window.setMagvarElement(elementSelect.value);
+
+            elementSelect.addEventListener('change', () => {
+                const element = elementSelect.value;
+                console.log('Field element changed to:', element);
+                 // Call the globally available setMagvarElement
+                if (window.setMagvarElement) {
+                     window.setMagvarElement(element);
+                }
+                 // Update config; an overlay product showing another element gives way to the selection
+                const grids = gridAgent.value();
+                const product = grids ? grids.overlayGrid : null;
+                const overlayType = product && product.element !== element ? 'default' : configuration.get('overlayType');
+                configuration.save({magvarElement: element, overlayType: overlayType});
+            });
+        }
+
+         // Wire up overlay product selector; the products themselves are built by gridAgent
+        const overlayTypeSelect = document.getElementById('overlay-type');
+        if (overlayTypeSelect) {
+             console.log('Wiring up overlay product selector');
+             // Set initial value based on config, showing "default" for overlay types this page doesn't offer
+             const showOverlayType = () => {
+                 overlayTypeSelect.value = configuration.get('overlayType');
+                 if (overlayTypeSelect.selectedIndex < 0) overlayTypeSelect.value = 'default';
+             };
+             showOverlayType();
+             configuration.on('change:overlayType', showOverlayType);
+
+            overlayTypeSelect.addEventListener('change', () => {
+                const overlayType = overlayTypeSelect.value;
+                console.log('Overlay product changed to:', overlayType);
+                 // Update config
+                configuration.save({overlayType: overlayType});
+            });
+        }
+
+         // Wire up display mode selector
+        const modeSelect = document.getElementById('magvar-mode');
+        if (modeSelect) {
+             console.log('Wiring up display mode selector');
+             // Set initial value based on config
+             modeSelect.value = configuration.get('magvarMode') || 'vectors';
+             if (window.setMagvarMode) window.setMagvarMode(modeSelect.value);
+
+            modeSelect.addEventListener('change', () => {
+                const mode = modeSelect.value;
+                console.log('Display mode changed to:', mode);
+                 // Call the globally available setMagvarMode
+                if (window.setMagvarMode) {
+                     window.setMagvarMode(mode);
+                }
+                 // Update config
+                configuration.save({magvarMode: mode});
+            });
+        }
+
+         // Wire up isogonic interval selector
+        const intervalSelect = document.getElementById('isogonic-interval');
+        if (intervalSelect) {
+             console.log('Wiring up isogonic interval selector');
+             // Set initial value based on config
+             intervalSelect.value = configuration.get('isogonicInterval') || 5;
+             if (window.setIsogonicInterval) window.setIsogonicInterval(parseInt(intervalSelect.value));
+
+            intervalSelect.addEventListener('change', () => {
+                const interval = parseInt(intervalSelect.value);
+                console.log('Isogonic interval changed to:', interval);
+                 // Call the globally available setIsogonicInterval
+                if (window.setIsogonicInterval) {
+                     window.setIsogonicInterval(interval);
+                }
+                 // Update config
+                configuration.save({isogonicInterval: interval});
+            });
+        }
+
          // Wire up resolution slider
         const resolutionSlider = document.getElementById('magvar-resolution');
         if (resolutionSlider) {
@@ -0,0 +1,266 @@
+/**
+ * arinc424.js - Parser for ARINC 424 navigation data (FAA CIFP and other 132-column exports)
+ *
+ * Reads airports (PA), VHF navaids (D), NDBs (DB), enroute waypoints (EA), terminal waypoints (PC) and enroute
+ * airways (ER) into the layout of the stores in data.js. Other sections and continuation records are skipped. A
+ * record that can't be parsed is reported with its line number and the rest of the file is still imported.
+ *
+ * Column positions below are 1-based, as printed in the ARINC 424 specification.
+ */
+
+window.arinc424 = (function() {
+    "use strict";
+
+    const RECORD_LENGTH = 132;
+
+    /**
+     * @returns {String} the trimmed contents of columns first..last (1-based, inclusive).
+     */
+    function field(line, first, last) {
+        return line.substring(first - 1, last).trim();
+    }
+
+    /**
+     * @param {String} text latitude "N40382374" (hemisphere, DDMMSSss) or longitude "W073464329" (DDDMMSSss).
+     * @returns {Number} signed decimal degrees.
+     */
+    function coordinate(text) {
+        const match = /^([NSEW])(\d{2,3})(\d{2})(\d{4})$/.exec(text);
+        if (!match || match[2].length !== (/[NS]/.test(match[1]) ? 2 : 3)) {
+            throw new Error(`invalid coordinate "${text}"`);
+        }
+        const degrees = +match[2] + match[3] / 60 + match[4] / 100 / 3600;
+        return /[SW]/.test(match[1]) ? -degrees : degrees;
+    }
+
+    /**
+     * @param {String} text "E0123" or "W0130": east or west and tenths of a degree. "T" marks true north.
+     * @returns {Number} the variation in degrees, east positive, or null if blank or true-north referenced.
+     */
+    function variation(text) {
+        if (!text || text[0] === 'T') return null;
+        const match = /^([EW])(\d{4})$/.exec(text);
+        if (!match) throw new Error(`invalid magnetic variation "${text}"`);
+        return (match[1] === 'W' ? -1 : 1) * match[2] / 10;
+    }
+
+    // Number from a numeric field, or null if the field is blank or not a number (e.g. "UNKNN" altitudes)
+    function number(text, scale = 1) {
+        return text && /^-?\d+$/.test(text) ? text * scale : null;
+    }
+
+    // The continuation record number is 0 or 1 for primary records; continuations carry no coordinates
+    function isPrimary(continuation) {
+        return continuation === '0' || continuation === '1' || continuation === '';
+    }
+
+    /**
+     * @returns {String} "VOR", "VOR-DME", "VORTAC", "DME", "TACAN" or "ILS-DME" from the navaid class columns.
+     */
+    function vhfType(navaidClass) {
+        const vor = navaidClass[0] === 'V', dme = navaidClass[1];
+        if (dme === 'T' || dme === 'M') return vor ? 'VORTAC' : 'TACAN';
+        if (dme === 'D') return vor ? 'VOR-DME' : 'DME';
+        if (dme === 'I') return 'ILS-DME';
+        return vor ? 'VOR' : 'DME';
+    }
+
+    // PA: airport reference point
+    function airport(line) {
+        return {
+            id: field(line, 7, 10),
+            icaoCode: field(line, 11, 12),
+            iata: field(line, 14, 16),
+            name: field(line, 94, 123),
+            lat: coordinate(field(line, 33, 41)),
+            lon: coordinate(field(line, 42, 51)),
+            magneticVariation: variation(field(line, 52, 56)),
+            elevation: number(field(line, 57, 61)), // ft
+            source: 'ARINC 424'
+        };
+    }
+
+    // D: VOR, VOR-DME, VORTAC and DME stations
+    function vhfNavaid(line) {
+        // DME-only stations have their position in the DME columns
+        const vorLatitude = field(line, 33, 41);
+        const lat = vorLatitude ? coordinate(vorLatitude) : coordinate(field(line, 56, 64));
+        const lon = vorLatitude ? coordinate(field(line, 42, 51)) : coordinate(field(line, 65, 74));
+        return {
+            id: field(line, 14, 17),
+            icaoCode: field(line, 20, 21),
+            airport: field(line, 7, 10) || null,
+            type: vhfType(line.substring(27, 32)),
+            name: field(line, 94, 123),
+            lat, lon,
+            frequency: number(field(line, 23, 27), 0.01), // MHz
+            magneticVariation: variation(field(line, 75, 79)), // station declination
+            elevation: number(field(line, 80, 84)),
+            source: 'ARINC 424'
+        };
+    }
+
+    // DB: enroute NDBs
+    function ndb(line) {
+        return {
+            id: field(line, 14, 17),
+            icaoCode: field(line, 20, 21),
+            airport: field(line, 7, 10) || null,
+            type: 'NDB',
+            name: field(line, 94, 123),
+            lat: coordinate(field(line, 33, 41)),
+            lon: coordinate(field(line, 42, 51)),
+            frequency: number(field(line, 23, 27), 0.1), // kHz
+            magneticVariation: variation(field(line, 75, 79)),
+            source: 'ARINC 424'
+        };
+    }
+
+    // EA and PC: enroute and terminal waypoints share a layout; columns 7-10 hold the region ("ENRT") or airport
+    function waypoint(line, terminal) {
+        const region = field(line, 7, 10);
+        return {
+            id: field(line, 14, 18),
+            icaoCode: field(line, 20, 21),
+            region: terminal ? null : region,
+            airport: terminal ? region : null,
+            type: field(line, 27, 29),
+            name: field(line, 99, 123),
+            lat: coordinate(field(line, 33, 41)),
+            lon: coordinate(field(line, 42, 51)),
+            magneticVariation: variation(field(line, 75, 79)),
+            terminal,
+            source: 'ARINC 424'
+        };
+    }
+
+    // ER: one fix of an airway; the airway is assembled from its fixes in sequence order
+    function airwayFix(line) {
+        const courses = text => text ? (text.endsWith('T') ? null : number(text, 0.1)) : null;
+        return {
+            route: field(line, 14, 18),
+            area: field(line, 2, 4),
+            sequence: number(field(line, 26, 29)),
+            id: field(line, 30, 34),
+            icaoCode: field(line, 35, 36),
+            section: line.substring(36, 38).trim(), // where the fix is defined: "EA", "D", "DB", "PC"...
+            description: line.substring(39, 43),
+            routeType: field(line, 45, 45),
+            level: field(line, 46, 46), // "B" both, "H" high, "L" low
+            direction: field(line, 47, 47) || null, // "F" forward or "B" backward only, null either way
+            outboundCourse: courses(field(line, 71, 74)), // degrees magnetic
+            distance: number(field(line, 75, 78), 0.1), // NM to the next fix
+            inboundCourse: courses(field(line, 79, 82)),
+            // ft; the second minimum altitude is for flying the segment the other way. ER records carry no MOCA
+            mea: number(field(line, 84, 88)),
+            minAltitude2: number(field(line, 89, 93)),
+            maxAltitude: number(field(line, 94, 98))
+        };
+    }
+
+    // Section and subsection codes; P and H records carry the subsection in column 13, all others in column 6
+    function recordCode(line) {
+        const section = line[4];
+        const subsection = section === 'P' || section === 'H' ? line[12] : line[5];
+        return section + (subsection === ' ' ? '' : subsection);
+    }
+
+    function continuationOf(line, code) {
+        return code === 'ER' ? field(line, 39, 39) : field(line, 22, 22);
+    }
+
+    /**
+     * Joins the ER fixes into airways: fixes of the same route and area in sequence order, split where the
+     * waypoint description code marks the end of a continuous airway. Each fix gets its coordinates from the
+     * waypoints and navaids; fixes that can't be found are reported and keep null coordinates.
+     */
+    function assembleAirways(fixes, locate, errors) {
+        const routes = new Map();
+        fixes.forEach(fix => {
+            const key = `${fix.area}:${fix.route}`;
+            if (!routes.has(key)) routes.set(key, []);
+            routes.get(key).push(fix);
+        });
+
+        const airways = [];
+        routes.forEach(routeFixes => {
+            routeFixes.sort((a, b) => a.sequence - b.sequence);
+            let current = null;
+            routeFixes.forEach(fix => {
+                if (!current) {
+                    current = { id: fix.route, area: fix.area, level: fix.level, fixes: [] };
+                    airways.push(current);
+                }
+                const position = locate(fix);
+                if (!position) {
+                    errors.push({ line: fix.lineNumber, record: 'ER', message: `${fix.route}: fix ${fix.id} (${fix.icaoCode}) not found` });
+                }
+                const { lineNumber, route, area, ...rest } = fix;
+                current.fixes.push(Object.assign(rest, { lat: position ? position.lat : null, lon: position ? position.lon : null }));
+                if (fix.description[1] === 'E') current = null; // end of continuous airway
+            });
+        });
+        return airways;
+    }
+
+    /**
+     * Parses an ARINC 424 file.
+     *
+     * @param {String} text the file's contents, one 132-column record per line.
+     * @param {Object} [known] {navaids, waypoints} already loaded, to locate airway fixes defined elsewhere.
+     * @returns {Object} {airports, navaids, waypoints, airways, errors, skipped}: errors is [{line, record,
+     *          message}] for each record that couldn't be parsed, skipped counts records of other sections.
+     */
+    function parse(text, known = {}) {
+        const result = { airports: [], navaids: [], waypoints: [], airways: [], errors: [], skipped: 0 };
+        const fixes = [];
+
+        text.split(/\r?\n/).forEach((raw, i) => {
+            if (raw.trim() === '' || /^HDR/.test(raw)) return;
+            const line = raw.padEnd(RECORD_LENGTH);
+            const lineNumber = i + 1;
+            let code = '';
+            try {
+                if (line[0] !== 'S' && line[0] !== 'T') throw new Error(`unknown record type "${line[0]}"`);
+                code = recordCode(line);
+                if (!isPrimary(continuationOf(line, code))) {
+                    result.skipped++;
+                    return;
+                }
+                switch (code) {
+                    case 'PA': result.airports.push(airport(line)); break;
+                    case 'D': result.navaids.push(vhfNavaid(line)); break;
+                    case 'DB': result.navaids.push(ndb(line)); break;
+                    case 'EA': result.waypoints.push(waypoint(line, false)); break;
+                    case 'PC': result.waypoints.push(waypoint(line, true)); break;
+                    case 'ER': fixes.push(Object.assign(airwayFix(line), { lineNumber })); break;
+                    default: result.skipped++;
+                }
+            } catch (error) {
+                result.errors.push({ line: lineNumber, record: code, message: error.message });
+            }
+        });
+
+        // Airway fixes are located by identifier and ICAO region among the enroute waypoints and navaids
+        const index = new Map();
+        const addToIndex = feature => {
+            const key = `${feature.id}:${feature.icaoCode || ''}`;
+            if (!index.has(key)) index.set(key, feature);
+        };
+        result.waypoints.filter(w => !w.terminal).forEach(addToIndex);
+        result.navaids.forEach(addToIndex);
+        (known.waypoints || []).forEach(addToIndex);
+        (known.navaids || []).forEach(addToIndex);
+        result.airways = assembleAirways(fixes, fix => index.get(`${fix.id}:${fix.icaoCode}`), result.errors);
+        result.errors.sort((a, b) => a.line - b.line);
+
+        return result;
+    }
+
+    return {
+        parse,
+        coordinate,
+        variation
+    };
+
+})();
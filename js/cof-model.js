@@ -0,0 +1,409 @@
+/**
+ * cof-model.js - NOAA .COF and IGRF coefficient parsers and spherical-harmonic field evaluator
+ *
+ * The geomagnetism package only bundles the degree-12 WMM coefficients. This evaluator handles any degree,
+ * including the degree-133 WMMHR model shipped in WMM.COF, and returns points with the same fields as
+ * geomagnetism's MagneticElements (x, y, z, h, f, decl, incl) so the overlay can use either interchangeably.
+ */
+
+// Exposes parseCof, parseIgrf, createCofModel, createIgrfModel, createTimedModel, loadCofModel, decimalYear,
+// dateFromDecimalYear and validityWindow globally. Also loaded by magvar-worker.js, where window is the worker's global scope.
+
+(function() {
+    "use strict";
+
+    // WGS-84 ellipsoid and geomagnetic reference radius, all in km (same constants as the WMM report)
+    const WGS84_A = 6378.137;
+    const WGS84_B = 6356.7523142;
+    const WGS84_EPSSQ = 1 - (WGS84_B * WGS84_B) / (WGS84_A * WGS84_A);
+    const GEOMAGNETIC_RE = 6371.2;
+    const VALIDITY_YEARS = 5;
+    const DEG = Math.PI / 180;
+
+    /**
+     * @param {Date} date
+     * @returns {Number} the date as a decimal year, e.g. 2025-07-02 -> 2025.5
+     */
+    function decimalYear(date) {
+        const year = date.getUTCFullYear();
+        const start = Date.UTC(year, 0, 1), end = Date.UTC(year + 1, 0, 1);
+        return year + (date.getTime() - start) / (end - start);
+    }
+    window.decimalYear = decimalYear;
+
+    /**
+     * @param {Number} value a decimal year, e.g. 2025.5
+     * @returns {Date} the UTC instant it stands for, e.g. 2025-07-02T12:00Z
+     */
+    window.dateFromDecimalYear = function(value) {
+        const year = Math.floor(value);
+        const start = Date.UTC(year, 0, 1), end = Date.UTC(year + 1, 0, 1);
+        return new Date(start + (value - year) * (end - start));
+    };
+
+    /**
+     * @param {Number} epoch a release's epoch as a decimal year, e.g. 2025.0
+     * @returns {Object} {startDate, endDate}: the five years from the epoch the release is valid for. The release
+     *          date doesn't enter into it; WMM-2025 came out in November 2024 but is valid from 2025.0 to 2030.0.
+     */
+    window.validityWindow = function(epoch) {
+        return { startDate: dateFromDecimalYear(epoch), endDate: dateFromDecimalYear(epoch + VALIDITY_YEARS) };
+    };
+
+    /**
+     * Parses the text of a .COF file. The header line is "epoch name release-date", followed by one
+     * "n m g h dg dh" line per coefficient, terminated by a line of 9s.
+     *
+     * @param {String} text the file contents.
+     * @returns {Object} {epoch, name, releaseDate, nMax, g, h, dg, dh} with coefficients in Float64Arrays
+     *          indexed by n * (n + 1) / 2 + m.
+     */
+    window.parseCof = function(text) {
+        const lines = text.split(/\r?\n/);
+        const rows = [];
+        let header = null, nMax = 0;
+
+        for (const line of lines) {
+            const values = line.trim().split(/\s+/);
+            if (/^9{6,}$/.test(values[0])) break; // end-of-file marker
+            if (values.length === 3 && !header) {
+                header = { epoch: parseFloat(values[0]), name: values[1], releaseDate: new Date(values[2]) };
+            } else if (values.length === 6) {
+                const n = parseInt(values[0]), m = parseInt(values[1]);
+                if (m > n) continue;
+                rows.push([n, m, +values[2], +values[3], +values[4], +values[5]]);
+                nMax = Math.max(nMax, n);
+            }
+        }
+
+        if (!header || !isFinite(header.epoch)) throw new Error("Invalid COF file: missing epoch header");
+        if (nMax === 0) throw new Error("Invalid COF file: no coefficients found");
+
+        const size = (nMax + 1) * (nMax + 2) / 2;
+        const g = new Float64Array(size), h = new Float64Array(size);
+        const dg = new Float64Array(size), dh = new Float64Array(size);
+        for (const [n, m, gnm, hnm, dgnm, dhnm] of rows) {
+            const i = n * (n + 1) / 2 + m;
+            g[i] = gnm; h[i] = hnm; dg[i] = dgnm; dh[i] = dhnm;
+        }
+
+        return { epoch: header.epoch, name: header.name, releaseDate: header.releaseDate, nMax, g, h, dg, dh };
+    };
+
+    /**
+     * Computes Schmidt semi-normalized associated Legendre functions P(n, m) and their derivatives with
+     * respect to geocentric colatitude, using the stable recursion that needs no rescaling up to high degree.
+     */
+    function legendre(sinφ, cosφ, nMax, p, dp) {
+        p[0] = 1; dp[0] = 0;
+        for (let n = 1; n <= nMax; n++) {
+            const row = n * (n + 1) / 2, prev = (n - 1) * n / 2, prev2 = (n - 2) * (n - 1) / 2;
+            for (let m = 0; m < n; m++) {
+                const k = Math.sqrt(n * n - m * m);
+                const a = (2 * n - 1) / k;
+                const b = n - 2 >= m ? Math.sqrt((n - 1 + m) * (n - 1 - m)) / k : 0;
+                const p2 = b ? p[prev2 + m] : 0, dp2 = b ? dp[prev2 + m] : 0;
+                p[row + m] = a * sinφ * p[prev + m] - b * p2;
+                dp[row + m] = a * (sinφ * dp[prev + m] - cosφ * p[prev + m]) - b * dp2;
+            }
+            const s = n === 1 ? 1 : Math.sqrt((2 * n - 1) / (2 * n));
+            p[row + n] = s * cosφ * p[prev + n - 1];
+            dp[row + n] = s * (sinφ * p[prev + n - 1] + cosφ * dp[prev + n - 1]);
+        }
+    }
+
+    /**
+     * Builds an evaluator for the given coefficients at a fixed decimal year.
+     */
+    function timedModel(coefficients, year) {
+        const { nMax, g, h, dg, dh } = coefficients;
+        const dyear = year - coefficients.epoch;
+        const size = g.length;
+        const gt = new Float64Array(size), ht = new Float64Array(size);
+        for (let i = 0; i < size; i++) {
+            gt[i] = g[i] + dyear * dg[i];
+            ht[i] = h[i] + dyear * dh[i];
+        }
+
+        // Scratch buffers reused between point() calls; the Legendre functions and longitude terms are kept
+        // for the last position so secularVariation() at the same point only repeats the coefficient sums
+        const p = new Float64Array(size), dp = new Float64Array(size);
+        const cosmλ = new Float64Array(nMax + 1), sinmλ = new Float64Array(nMax + 1);
+        const position = { lat: NaN, lon: NaN, alt: NaN, r: 0, cosφ: 0, ψ: 0 };
+
+        function prepare(coords) {
+            const lat = Math.max(-89.99999, Math.min(89.99999, coords[0]));
+            const lon = coords[1];
+            const alt = typeof coords[2] === 'number' ? coords[2] : 0;
+            if (lat === position.lat && lon === position.lon && alt === position.alt) return;
+
+            // Geodetic to geocentric spherical coordinates
+            const sinLat = Math.sin(lat * DEG), cosLat = Math.cos(lat * DEG);
+            const rc = WGS84_A / Math.sqrt(1 - WGS84_EPSSQ * sinLat * sinLat);
+            const xp = (rc + alt) * cosLat;
+            const zp = (rc * (1 - WGS84_EPSSQ) + alt) * sinLat;
+            const r = Math.sqrt(xp * xp + zp * zp);
+            const sinφ = zp / r, cosφ = xp / r;
+
+            legendre(sinφ, cosφ, nMax, p, dp);
+
+            const cosλ = Math.cos(lon * DEG), sinλ = Math.sin(lon * DEG);
+            cosmλ[0] = 1; sinmλ[0] = 0;
+            for (let m = 1; m <= nMax; m++) {
+                cosmλ[m] = cosmλ[m - 1] * cosλ - sinmλ[m - 1] * sinλ;
+                sinmλ[m] = cosmλ[m - 1] * sinλ + sinmλ[m - 1] * cosλ;
+            }
+
+            Object.assign(position, { lat, lon, alt, r, cosφ, ψ: Math.asin(sinφ) - lat * DEG });
+        }
+
+        /**
+         * Sums the field (or, given the secular coefficients, its rate of change) at the prepared position.
+         * @returns {Array} [x, y, z] in the geodetic frame (x north, y east, z down).
+         */
+        function synthesize(cg, ch) {
+            // Sum field components in the geocentric frame
+            let bx = 0, by = 0, bz = 0;
+            const ratio = GEOMAGNETIC_RE / position.r;
+            let radiusPower = ratio * ratio;
+            for (let n = 1; n <= nMax; n++) {
+                radiusPower *= ratio;
+                const row = n * (n + 1) / 2;
+                let sx = 0, sy = 0, sz = 0;
+                for (let m = 0; m <= n; m++) {
+                    const i = row + m;
+                    const a = cg[i] * cosmλ[m] + ch[i] * sinmλ[m];
+                    sx += a * dp[i];
+                    sy += m * (cg[i] * sinmλ[m] - ch[i] * cosmλ[m]) * p[i];
+                    sz += a * p[i];
+                }
+                bx += radiusPower * sx;
+                by += radiusPower * sy;
+                bz -= radiusPower * (n + 1) * sz;
+            }
+            by /= position.cosφ;
+
+            // Rotate back to the geodetic frame
+            const ψ = position.ψ;
+            return [bx * Math.cos(ψ) - bz * Math.sin(ψ), by, bx * Math.sin(ψ) + bz * Math.cos(ψ)];
+        }
+
+        return {
+            name: coefficients.name,
+            epoch: coefficients.epoch,
+            year: year,
+            n_max: nMax,
+            coefficients: coefficients, // so the model can be rebuilt elsewhere, e.g. in a worker
+
+            /**
+             * @param {Array} coords [lat, lon, altitude-km] in geodetic degrees; altitude defaults to 0.
+             * @returns {Object} {x, y, z, h, f, decl, incl} in nT and degrees.
+             */
+            point: function(coords) {
+                prepare(coords);
+                const [x, y, z] = synthesize(gt, ht);
+                const hor = Math.sqrt(x * x + y * y);
+
+                return {
+                    x, y, z,
+                    h: hor,
+                    f: Math.sqrt(hor * hor + z * z),
+                    decl: Math.atan2(y, x) / DEG,
+                    incl: Math.atan2(z, hor) / DEG
+                };
+            },
+
+            /**
+             * @returns {Object} {g10, g11, h11} the first-degree (dipole) coefficients at the model's date, in nT.
+             */
+            dipole: function() {
+                return { g10: gt[1], g11: gt[2], h11: ht[2] };
+            },
+
+            /**
+             * Annual rate of change of every element, from the secular variation coefficients (as in the
+             * WMM report's secular variation elements).
+             *
+             * @param {Array} coords [lat, lon, altitude-km] as for point().
+             * @returns {Object} {x, y, z, h, f, decl, incl} in nT per year and degrees per year.
+             */
+            secularVariation: function(coords) {
+                prepare(coords);
+                const [x, y, z] = synthesize(gt, ht);
+                const [xdot, ydot, zdot] = synthesize(dg, dh);
+                const hor = Math.sqrt(x * x + y * y);
+                const f = Math.sqrt(hor * hor + z * z);
+                const hdot = (x * xdot + y * ydot) / hor;
+
+                return {
+                    x: xdot, y: ydot, z: zdot,
+                    h: hdot,
+                    f: (x * xdot + y * ydot + z * zdot) / f,
+                    decl: (x * ydot - y * xdot) / (hor * hor) / DEG,
+                    incl: (hor * zdot - z * hdot) / (f * f) / DEG
+                };
+            }
+        };
+    }
+
+    /**
+     * Builds an evaluator for the coefficients at the date without any validity check; for rebuilding a timed
+     * model from its coefficients once the date has already been checked.
+     *
+     * @param {Object} coefficients as returned by parseCof().
+     * @param {Date} date the date to evaluate the model at.
+     * @returns {Object} the timed model, as returned by getTimedModel().
+     */
+    window.createTimedModel = function(coefficients, date) {
+        return timedModel(coefficients, decimalYear(date));
+    };
+
+    /**
+     * Parses an IGRF coefficient table in the IAGA text layout: "#" comment lines, a "c/s deg ord ..." line,
+     * a "g/h n m 1900.0 1905.0 ... 2025.0 2025-30" line naming the epoch columns (the last column is the
+     * secular variation after the final epoch), then one "g|h n m value..." row per coefficient.
+     *
+     * @param {String} text the file contents.
+     * @param {String} name the name to give the model, e.g. "IGRF-14".
+     * @returns {Object} {name, nMax, epochs, sets: [{g, h}], sv: {g, h}} with Float64Arrays indexed like parseCof.
+     */
+    window.parseIgrf = function(text, name) {
+        const lines = text.split(/\r?\n/);
+        const rows = [];
+        let epochs = null, nMax = 0;
+
+        for (const line of lines) {
+            const values = line.trim().split(/\s+/);
+            if (!values[0] || values[0].startsWith('#')) continue;
+            if (values[0] === 'g/h') {
+                epochs = values.slice(3, -1).map(parseFloat);
+            } else if (values[0] === 'g' || values[0] === 'h') {
+                const n = parseInt(values[1]), m = parseInt(values[2]);
+                // Every row of the IAGA table has a value for each epoch and the secular variation
+                if (epochs && values.length - 3 !== epochs.length + 1) {
+                    throw new Error(`Invalid IGRF file: ${values.slice(0, 3).join(' ')} has ${values.length - 3} values ` +
+                        `for ${epochs.length} epochs and the secular variation`);
+                }
+                rows.push([values[0], n, m, values.slice(3).map(parseFloat)]);
+                nMax = Math.max(nMax, n);
+            }
+        }
+
+        if (!epochs || epochs.length === 0 || epochs.some(isNaN)) throw new Error("Invalid IGRF file: missing epoch header");
+        if (nMax === 0) throw new Error("Invalid IGRF file: no coefficients found");
+
+        const size = (nMax + 1) * (nMax + 2) / 2;
+        const sets = epochs.map(() => ({ g: new Float64Array(size), h: new Float64Array(size) }));
+        const sv = { g: new Float64Array(size), h: new Float64Array(size) };
+        for (const [kind, n, m, values] of rows) {
+            const i = n * (n + 1) / 2 + m;
+            epochs.forEach((epoch, k) => { sets[k][kind][i] = values[k] || 0; });
+            sv[kind][i] = values[epochs.length] || 0;
+        }
+
+        return { name, nMax, epochs, sets, sv };
+    };
+
+    /**
+     * Wraps parsed COF coefficients in a model with the validity window of the release.
+     *
+     * @param {Object} coefficients the result of parseCof().
+     * @param {Object} [options] {startDate, endDate} overriding the five years from the epoch.
+     * @returns {Object} a model with getTimedModel(date) returning a point() evaluator for that date.
+     */
+    window.createCofModel = function(coefficients, options = {}) {
+        const validity = validityWindow(coefficients.epoch);
+        const startDate = new Date(options.startDate || validity.startDate);
+        const endDate = new Date(options.endDate || validity.endDate);
+
+        return {
+            name: coefficients.name,
+            epoch: coefficients.epoch,
+            n_max: coefficients.nMax,
+            start_date: startDate,
+            end_date: endDate,
+            /**
+             * @returns {Object} the point() evaluator for the date, also carrying start_date, end_date and
+             *          outOfBounds so callers can warn when the date is outside the validity window.
+             */
+            getTimedModel: function(date, allowOutOfBoundsModel = false) {
+                const outOfBounds = date < startDate || date > endDate;
+                if (outOfBounds) {
+                    const message = `${coefficients.name} is only valid from ${startDate.toDateString()} to ${endDate.toDateString()}`;
+                    if (!allowOutOfBoundsModel) throw new Error(message);
+                    console.warn(message);
+                }
+                return Object.assign(timedModel(coefficients, decimalYear(date)), {
+                    start_date: startDate,
+                    end_date: endDate,
+                    outOfBounds
+                });
+            }
+        };
+    };
+
+    /**
+     * Builds a model from a multi-epoch IGRF table. Between two epochs the coefficients are interpolated
+     * linearly; after the final epoch they are extrapolated with the tabulated secular variation.
+     *
+     * @param {Object} table the result of parseIgrf().
+     * @returns {Object} a model with the same getTimedModel(date) interface as createCofModel().
+     */
+    window.createIgrfModel = function(table) {
+        const { epochs, sets, sv, nMax } = table;
+        const last = epochs.length - 1;
+        const startDate = new Date(Date.UTC(epochs[0], 0, 1));
+        const endDate = new Date(Date.UTC(epochs[last] + VALIDITY_YEARS, 0, 1));
+        const segments = []; // lazily built createCofModel() for each epoch interval
+
+        function segment(k) {
+            if (!segments[k]) {
+                const size = sets[k].g.length;
+                const dg = new Float64Array(size), dh = new Float64Array(size);
+                const span = k < last ? epochs[k + 1] - epochs[k] : 0;
+                for (let i = 0; i < size; i++) {
+                    dg[i] = span ? (sets[k + 1].g[i] - sets[k].g[i]) / span : sv.g[i];
+                    dh[i] = span ? (sets[k + 1].h[i] - sets[k].h[i]) / span : sv.h[i];
+                }
+                segments[k] = createCofModel(
+                    { epoch: epochs[k], name: table.name, nMax, g: sets[k].g, h: sets[k].h, dg, dh },
+                    { startDate, endDate });
+            }
+            return segments[k];
+        }
+
+        return {
+            name: table.name,
+            epoch: epochs[last],
+            epochs: epochs,
+            n_max: nMax,
+            start_date: startDate,
+            end_date: endDate,
+            getTimedModel: function(date, allowOutOfBoundsModel = false) {
+                if (date < startDate || date > endDate) {
+                    const message = `${table.name} is only valid from ${startDate.toDateString()} to ${endDate.toDateString()}`;
+                    if (!allowOutOfBoundsModel) throw new Error(message);
+                    console.warn(message);
+                }
+                const year = decimalYear(date);
+                let k = 0;
+                while (k < last && epochs[k + 1] <= year) k++;
+                return segment(k).getTimedModel(date, true);
+            }
+        };
+    };
+
+    /**
+     * @param {String} url location of a .COF file.
+     * @returns {Promise} a promise for the model built from the fetched file.
+     */
+    window.loadCofModel = function(url) {
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) throw new Error(`Failed to fetch COF file: ${url}`);
+                return response.text();
+            })
+            .then(text => createCofModel(parseCof(text)));
+    };
+
+})();
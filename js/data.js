@@ -9,7 +9,8 @@ export const dataAvailable = {
     waypoints: true,
     navaids: true,
     airspace: false,
-    airways: false
+    airways: false,
+    runways: false
 };
 
 // Store loaded GeoJSON land data
@@ -36,6 +37,76 @@ export const placeholderNavaids = [
     {id: "GEN", type: "NDB", lat: 46.2333, lon: 6.1333}
 ];
 
+// Navigation stores the layers read from. They hold the placeholders until real data is imported
+export const airports = [...placeholderAirports];
+export const waypoints = [...placeholderWaypoints];
+export const navaids = [...placeholderNavaids];
+export const airways = [];
+export const runways = [];
+export const airspace = [];
+
+const stores = {airports, waypoints, navaids, airways, runways, airspace};
+const placeholderStores = new Set(['airports', 'waypoints', 'navaids']);
+
+// Key of a feature for spotting duplicates when the same data is imported twice. Airways are told apart by their
+// first fix, runways by their airport and airspace by its name, class, limits and first point, none having a
+// position of their own
+function featureKey(key, feature) {
+    switch (key) {
+        case 'airways': return `${feature.id}:${feature.fixes.length ? feature.fixes[0].id : ''}`;
+        case 'runways': return `${feature.airport}:${feature.id}`;
+        case 'airspace':
+            return [feature.name, feature.class, feature.floor.text, feature.ceiling.text,
+                feature.geometry.coordinates[0][0].join(',')].join(':');
+        default: return `${feature.id}:${feature.lat.toFixed(4)}:${feature.lon.toFixed(4)}`;
+    }
+}
+
+/**
+ * Adds imported features to the navigation stores. The first import into a store replaces its placeholders, and
+ * features already in the store are skipped.
+ *
+ * @param {Object} imported {airports, waypoints, navaids, airways, runways, airspace} arrays; missing or empty ones
+ *        are left alone.
+ * @returns {Object} the number of features added to each store.
+ */
+export function addNavigationData(imported) {
+    const added = {};
+    for (const [key, store] of Object.entries(stores)) {
+        const features = imported[key] || [];
+        added[key] = 0;
+        if (features.length === 0) continue;
+        if (placeholderStores.delete(key)) store.length = 0;
+
+        const keyOf = feature => featureKey(key, feature);
+        const seen = new Set(store.map(keyOf));
+        for (const feature of features) {
+            const k = keyOf(feature);
+            if (seen.has(k)) continue;
+            seen.add(k);
+            store.push(feature);
+            added[key]++;
+        }
+        dataAvailable[key] = store.length > 0;
+    }
+    updateDataAvailabilityUI();
+    console.log('Navigation data added:', added);
+    return added;
+}
+
+// Classic scripts (app.js and the rest of index.html's globals) can't import this module, so the navigation
+// stores are published for them here
+window.navigationData = {
+    dataAvailable,
+    airports,
+    waypoints,
+    navaids,
+    airways,
+    runways,
+    airspace,
+    add: addNavigationData
+};
+
 // Load GeoJSON data
 async function loadGeoJsonData(url, dataKey) {
     try {
@@ -0,0 +1,98 @@
+/**
+ * geodesy.js - Great circle distances, courses and destinations on the spherical earth
+ *
+ * The one place the app measures between points: pins and the facilities near them, airway segments, route legs,
+ * the magnetic profile, the measure tool, OpenAir arcs and the dip pole search. Points are {lat, lon} in degrees,
+ * as the navigation stores and pins keep them; courses are degrees true in [0, 360) and distances NM. Longitudes
+ * returned are normalised to [-180, 180). Nothing else is assumed, so magvar-worker.js loads it too.
+ */
+
+window.geodesy = (function() {
+    "use strict";
+
+    const EARTH_RADIUS_NM = 3440.065; // mean radius of the sphere, 6371 km
+    const DEG = Math.PI / 180;
+
+    // µ.floorMod, which the worker doesn't load micro.js for
+    const floorMod = (a, n) => a - n * Math.floor(a / n);
+
+    /**
+     * @returns {Number} the longitude in [-180, 180).
+     */
+    function normalizeLongitude(lon) {
+        return floorMod(lon + 180, 360) - 180;
+    }
+
+    /**
+     * @returns {Number} the angle between the points at the centre of the earth, in radians. Worked out from both
+     *          its sine and cosine, so it stays accurate for points very close together or nearly antipodal.
+     */
+    function angle(a, b) {
+        const φ1 = a.lat * DEG, φ2 = b.lat * DEG, Δλ = (b.lon - a.lon) * DEG;
+        const y = Math.hypot(Math.cos(φ2) * Math.sin(Δλ), Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ));
+        const x = Math.sin(φ1) * Math.sin(φ2) + Math.cos(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+        return Math.atan2(y, x);
+    }
+
+    /**
+     * @returns {Number} the great circle distance between the points, NM.
+     */
+    function distance(a, b) {
+        return angle(a, b) * EARTH_RADIUS_NM;
+    }
+
+    /**
+     * @returns {Number} the course from a along the great circle to b as it leaves a.
+     */
+    function initialCourse(a, b) {
+        const φ1 = a.lat * DEG, φ2 = b.lat * DEG, Δλ = (b.lon - a.lon) * DEG;
+        const y = Math.sin(Δλ) * Math.cos(φ2);
+        const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+        return floorMod(Math.atan2(y, x) / DEG, 360);
+    }
+
+    /**
+     * @returns {Number} the course along the great circle from a as it arrives at b.
+     */
+    function finalCourse(a, b) {
+        return floorMod(initialCourse(b, a) + 180, 360);
+    }
+
+    /**
+     * @returns {Object} the point the fraction t of the way along the great circle from a to b.
+     */
+    function interpolate(a, b, t) {
+        const δ = angle(a, b);
+        if (δ === 0) return { lat: a.lat, lon: a.lon };
+        const φ1 = a.lat * DEG, λ1 = a.lon * DEG, φ2 = b.lat * DEG, λ2 = b.lon * DEG;
+        const k1 = Math.sin((1 - t) * δ) / Math.sin(δ), k2 = Math.sin(t * δ) / Math.sin(δ);
+        const x = k1 * Math.cos(φ1) * Math.cos(λ1) + k2 * Math.cos(φ2) * Math.cos(λ2);
+        const y = k1 * Math.cos(φ1) * Math.sin(λ1) + k2 * Math.cos(φ2) * Math.sin(λ2);
+        const z = k1 * Math.sin(φ1) + k2 * Math.sin(φ2);
+        return { lat: Math.atan2(z, Math.hypot(x, y)) / DEG, lon: normalizeLongitude(Math.atan2(y, x) / DEG) };
+    }
+
+    /**
+     * @returns {Object} the point reached from a by following the great circle leaving it on the course for the
+     *          distance (NM).
+     */
+    function destination(a, course, distance) {
+        const δ = distance / EARTH_RADIUS_NM, θ = course * DEG, φ1 = a.lat * DEG;
+        const sinφ2 = Math.sin(φ1) * Math.cos(δ) + Math.cos(φ1) * Math.sin(δ) * Math.cos(θ);
+        const φ2 = Math.asin(Math.max(-1, Math.min(1, sinφ2)));
+        const Δλ = Math.atan2(Math.sin(θ) * Math.sin(δ) * Math.cos(φ1), Math.cos(δ) - Math.sin(φ1) * sinφ2);
+        return { lat: φ2 / DEG, lon: normalizeLongitude(a.lon + Δλ / DEG) };
+    }
+
+    return {
+        EARTH_RADIUS_NM,
+        normalizeLongitude,
+        angle,
+        distance,
+        initialCourse,
+        finalCourse,
+        interpolate,
+        destination
+    };
+
+})();
@@ -0,0 +1,294 @@
+/**
+ * magnetic-elements.js - Display definitions for the geomagnetic field elements
+ *
+ * Each element returned by a model's point() (decl, incl, h, f, x, y, z) gets a name, units, a colour scale
+ * suited to its range, the span its contour lines are drawn over, and formatters for readouts and labels.
+ * The *_sv elements are the annual rates of change from the model's secularVariation(), with angles in
+ * arc-minutes per year as printed on charts ("annual change 7'W"). Altitudes entered in feet, metres or flight
+ * levels are converted to the km the models take here too.
+ */
+
+// Assume µ (micro.js) is available globally
+
+window.magneticElements = (function() {
+    "use strict";
+
+    function formatAngle(value, precision, positive, negative) {
+        if (Math.abs(value) < Math.pow(10, -precision) / 2) return `${(0).toFixed(precision)}°`;
+        return `${Math.abs(value).toFixed(precision)}°${value > 0 ? positive : negative}`;
+    }
+
+    /**
+     * @returns {String} an angle in whole degrees and minutes with its hemisphere letter, e.g. "12°49'E".
+     */
+    function formatDegreesMinutes(value, positive, negative) {
+        const minutes = Math.round(Math.abs(value) * 60);
+        if (minutes === 0) return `0°00'`;
+        return `${Math.floor(minutes / 60)}°${String(minutes % 60).padStart(2, '0')}'${value > 0 ? positive : negative}`;
+    }
+
+    function formatSigned(value, precision, units) {
+        return `${value > 0 ? '+' : ''}${value.toFixed(precision)}${units}`;
+    }
+
+    function formatNanoTesla(value) {
+        return `${Math.round(value)} nT`;
+    }
+
+    function formatArcMinutes(value, precision, positive, negative) {
+        const magnitude = Math.abs(value).toFixed(precision);
+        if (Number(magnitude) === 0) return `${(0).toFixed(precision)}'/yr`;
+        return positive ? `${magnitude}'${value > 0 ? positive : negative}/yr` : `${value > 0 ? '+' : '-'}${magnitude}'/yr`;
+    }
+
+    function formatNanoTeslaRate(value) {
+        return `${value > 0 ? '+' : ''}${Math.round(value)} nT/yr`;
+    }
+
+    // NOAA's WMM compass zones: declination is unreliable where horizontal intensity is below these values
+    const ZONES = { blackout: 2000, caution: 6000 };
+
+    const FEET_TO_KM = 0.0003048;
+    const ALTITUDE_RANGE_KM = [-1, 850]; // heights the WMM is specified for
+
+    const DIVERGING = [[49, 54, 149], [116, 173, 209], [255, 255, 255], [244, 109, 67], [165, 0, 38]];
+
+    function divergingScale(limit) {
+        return µ.segmentedColorScale([
+            [-limit, DIVERGING[0]],
+            [-limit / 2, DIVERGING[1]],
+            [0, DIVERGING[2]],
+            [limit / 2, DIVERGING[3]],
+            [limit, DIVERGING[4]]
+        ]);
+    }
+
+    const ELEMENTS = {
+        decl: {
+            name: 'Declination',
+            units: '°',
+            bounds: [-20, 20],      // colour scale saturates beyond these
+            range: [-180, 180],     // span of values contour levels are generated over
+            intervalUnit: 1,        // contour interval setting is in degrees
+            wraps: true,            // angle wraps between +180° and -180°
+            gradient: µ.segmentedColorScale([
+                [-20, [255, 0, 0]],
+                [0, [255, 255, 255]],
+                [20, [0, 0, 255]]
+            ]),
+            format: value => formatAngle(value, 1, 'E', 'W'),
+            label: value => formatAngle(value, 0, 'E', 'W')
+        },
+        incl: {
+            name: 'Inclination',
+            units: '°',
+            bounds: [-90, 90],
+            range: [-90, 90],
+            intervalUnit: 1,
+            gradient: divergingScale(90),
+            format: value => formatSigned(value, 1, '°'),
+            label: value => formatSigned(value, 0, '°')
+        },
+        h: {
+            name: 'Horizontal Intensity',
+            units: 'nT',
+            bounds: [0, 42000],
+            range: [0, 45000],
+            intervalUnit: 1000,     // contour interval setting is in thousands of nT
+            // Dark red at the low end where compasses become unreliable
+            gradient: µ.segmentedColorScale([
+                [0, [128, 0, 38]],
+                [2000, [227, 26, 28]],
+                [6000, [253, 141, 60]],
+                [15000, [255, 237, 160]],
+                [30000, [65, 182, 196]],
+                [42000, [37, 52, 148]]
+            ]),
+            format: formatNanoTesla,
+            label: formatNanoTesla
+        },
+        f: {
+            name: 'Total Intensity',
+            units: 'nT',
+            bounds: [22000, 67000],
+            range: [20000, 70000],
+            intervalUnit: 1000,
+            gradient: µ.segmentedColorScale([
+                [22000, [37, 52, 148]],
+                [35000, [65, 182, 196]],
+                [45000, [255, 255, 191]],
+                [55000, [253, 174, 97]],
+                [67000, [215, 25, 28]]
+            ]),
+            format: formatNanoTesla,
+            label: formatNanoTesla
+        },
+        x: {
+            name: 'North Component (X)',
+            units: 'nT',
+            bounds: [-10000, 42000],
+            range: [-20000, 45000],
+            intervalUnit: 1000,
+            gradient: µ.segmentedColorScale([
+                [-10000, DIVERGING[0]],
+                [0, DIVERGING[2]],
+                [20000, DIVERGING[3]],
+                [42000, DIVERGING[4]]
+            ]),
+            format: formatNanoTesla,
+            label: formatNanoTesla
+        },
+        y: {
+            name: 'East Component (Y)',
+            units: 'nT',
+            bounds: [-20000, 20000],
+            range: [-25000, 25000],
+            intervalUnit: 1000,
+            gradient: divergingScale(20000),
+            format: formatNanoTesla,
+            label: formatNanoTesla
+        },
+        z: {
+            name: 'Vertical Component (Z)',
+            units: 'nT',
+            bounds: [-67000, 67000],
+            range: [-70000, 70000],
+            intervalUnit: 1000,
+            gradient: divergingScale(67000),
+            format: formatNanoTesla,
+            label: formatNanoTesla
+        },
+        decl_sv: {
+            name: 'Declination Annual Change',
+            units: "'/yr",
+            secular: 'decl',        // element of secularVariation() this rate is read from
+            factor: 60,             // degrees to arc-minutes
+            bounds: [-20, 20],
+            range: [-120, 120],
+            intervalUnit: 1,        // contour interval setting is in arc-minutes per year
+            gradient: divergingScale(20),
+            format: value => formatArcMinutes(value, 1, 'E', 'W'),
+            label: value => formatArcMinutes(value, 0, 'E', 'W')
+        },
+        incl_sv: {
+            name: 'Inclination Annual Change',
+            units: "'/yr",
+            secular: 'incl',
+            factor: 60,
+            bounds: [-10, 10],
+            range: [-60, 60],
+            intervalUnit: 1,
+            gradient: divergingScale(10),
+            format: value => formatArcMinutes(value, 1),
+            label: value => formatArcMinutes(value, 0)
+        },
+        h_sv: {
+            name: 'Horizontal Intensity Annual Change',
+            units: 'nT/yr',
+            secular: 'h',
+            factor: 1,
+            bounds: [-150, 150],
+            range: [-400, 400],
+            intervalUnit: 10,       // contour interval setting is in tens of nT per year
+            gradient: divergingScale(150),
+            format: formatNanoTeslaRate,
+            label: formatNanoTeslaRate
+        },
+        f_sv: {
+            name: 'Total Intensity Annual Change',
+            units: 'nT/yr',
+            secular: 'f',
+            factor: 1,
+            bounds: [-150, 150],
+            range: [-400, 400],
+            intervalUnit: 10,
+            gradient: divergingScale(150),
+            format: formatNanoTeslaRate,
+            label: formatNanoTeslaRate
+        }
+    };
+
+    Object.keys(ELEMENTS).forEach(key => ELEMENTS[key].key = key);
+
+    /**
+     * @returns {Object} the element definition for the key, falling back to declination for unknown keys.
+     */
+    function get(key) {
+        return ELEMENTS[key] || ELEMENTS.decl;
+    }
+
+    /**
+     * Evaluates an element of a timed model (see cof-model.js) at a point, in the element's display units.
+     *
+     * @param {Object} model a model with point() and secularVariation().
+     * @param {Array} coords [lat, lon, altitude-km].
+     * @param {String} key the element key.
+     * @returns {Number} the value.
+     */
+    function value(model, coords, key) {
+        const element = get(key);
+        if (element.secular) return model.secularVariation(coords)[element.secular] * element.factor;
+        return model.point(coords)[ELEMENTS[key] ? key : 'decl'];
+    }
+
+    /**
+     * @param {Number} h horizontal intensity in nT.
+     * @returns {String} "blackout", "caution" or null when declination can be relied on.
+     */
+    function zone(h) {
+        return h < ZONES.blackout ? 'blackout' : h < ZONES.caution ? 'caution' : null;
+    }
+
+    /**
+     * @returns {String} the warning to attach to a declination readout at horizontal intensity h, or null.
+     */
+    function zoneWarning(h) {
+        switch (zone(h)) {
+            case 'blackout': return `⚠ compass blackout zone (H < ${ZONES.blackout} nT): declination unreliable`;
+            case 'caution': return `⚠ compass caution zone (H < ${ZONES.caution} nT): declination may be unreliable`;
+            default: return null;
+        }
+    }
+
+    /**
+     * @returns {Number} the altitude in km for a value in feet, metres or flight levels (hundreds of feet).
+     */
+    function altitudeKm(value, unit) {
+        switch (unit) {
+            case 'm': return value / 1000;
+            case 'FL': return value * 100 * FEET_TO_KM;
+            default: return value * FEET_TO_KM;
+        }
+    }
+
+    /**
+     * @returns {String} the altitude as entered, e.g. "FL350", "1500 m" or "sea level".
+     */
+    function formatAltitude(value, unit) {
+        if (value === 0) return 'sea level';
+        return unit === 'FL' ? `FL${String(Math.round(value)).padStart(3, '0')}` : `${value} ${unit}`;
+    }
+
+    /**
+     * @returns {String} a CSS rgba() colour for the value on the element's scale, alpha in [0, 1].
+     */
+    function colorStyle(key, value, alpha) {
+        const rgb = get(key).gradient(value, 255);
+        return `rgba(${rgb[0]}, ${rgb[1]}, ${rgb[2]}, ${alpha})`;
+    }
+
+    return {
+        keys: Object.keys(ELEMENTS),
+        get,
+        value,
+        colorStyle,
+        ZONES,
+        zone,
+        zoneWarning,
+        formatDegreesMinutes,
+        ALTITUDE_RANGE_KM,
+        altitudeKm,
+        formatAltitude
+    };
+
+})();
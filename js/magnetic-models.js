@@ -0,0 +1,260 @@
+/**
+ * magnetic-models.js - Registry of the geomagnetic models the app can evaluate
+ *
+ * Every model is listed with its epoch and validity window before its coefficients are downloaded, so the
+ * model selector can describe it. The overlay, the click readout and any export code then ask for a model
+ * by name, which keeps a chart review on exactly the model the chart was originally built from.
+ */
+
+// Assumes cof-model.js is loaded first (parseCof, parseIgrf, createCofModel, createIgrfModel)
+
+window.magneticModels = (function() {
+    "use strict";
+
+    const GEOMAGNETISM_DATA = './node_modules/geomagnetism/data';
+    const IGRF_SOURCE = 'https://www.ngdc.noaa.gov/IAGA/vmod/igrf.html'; // where IAGA publishes the IGRF tables
+
+    // Pseudo-model that picks whichever WMM release covers the requested date, like geomagnetism.model(),
+    // and the historical IGRF model for dates before the first release
+    const LATEST_WMM = 'wmm';
+
+    const entries = new Map(); // name -> {name, label, kind, epoch, startDate, endDate, load}
+    const sources = new Map(); // name -> promise for the loaded model (getTimedModel interface)
+
+    /**
+     * Converts one of geomagnetism's data/wmm-*.json files into the coefficient layout used by parseCof().
+     */
+    function coefficientsFromJson(json) {
+        const size = json.main_field_coeff_g.length;
+        const toArray = values => Float64Array.from({ length: size }, (_, i) => values[i] || 0);
+        return {
+            epoch: json.epoch,
+            name: json.name,
+            releaseDate: new Date(json.start_date),
+            nMax: json.n_max,
+            g: toArray(json.main_field_coeff_g),
+            h: toArray(json.main_field_coeff_h),
+            dg: toArray(json.secular_var_coeff_g),
+            dh: toArray(json.secular_var_coeff_h)
+        };
+    }
+
+    function fetchText(url) {
+        return fetch(url).then(response => {
+            if (!response.ok) throw new Error(`Failed to fetch magnetic model: ${url}`);
+            return response.text();
+        });
+    }
+
+    /**
+     * Adds or replaces a registry entry. The entry's load() must return a promise for a model with
+     * getTimedModel(date, allowOutOfBoundsModel).
+     */
+    function register(entry) {
+        entries.set(entry.name, entry);
+        sources.delete(entry.name);
+        return describe(entry.name);
+    }
+
+    function registerWmmJson(name, file, epoch) {
+        const { startDate, endDate } = validityWindow(epoch);
+        return register({
+            name, epoch, kind: 'wmm',
+            label: name.toUpperCase(),
+            startDate,
+            endDate,
+            load: () => fetchText(`${GEOMAGNETISM_DATA}/${file}`)
+                .then(text => createCofModel(coefficientsFromJson(JSON.parse(text))))
+        });
+    }
+
+    /**
+     * Registers a .COF file, either by URL (downloaded on first use) or by its already loaded text.
+     * A URL registration needs the epoch in meta, since the header is not read until then; the validity is the
+     * five years from it.
+     *
+     * @param {String} name registry name.
+     * @param {Object} source {url, epoch, label} or {text, label}.
+     */
+    function registerCof(name, source) {
+        if (source.text) {
+            const model = createCofModel(parseCof(source.text));
+            return register({
+                name, kind: 'cof',
+                label: source.label || model.name,
+                epoch: model.epoch,
+                startDate: model.start_date,
+                endDate: model.end_date,
+                load: () => Promise.resolve(model)
+            });
+        }
+        const { startDate, endDate } = validityWindow(source.epoch);
+        return register({
+            name, kind: 'cof',
+            label: source.label || name,
+            epoch: source.epoch,
+            startDate,
+            endDate,
+            load: () => fetchText(source.url).then(text => createCofModel(parseCof(text)))
+        });
+    }
+
+    /**
+     * Registers a multi-epoch IGRF-style coefficient table, either by URL or by its already loaded text.
+     *
+     * @param {String} name registry name.
+     * @param {Object} source {url, epoch, startDate, endDate, label} or {text, label}.
+     */
+    function registerIgrf(name, source) {
+        const label = source.label || name.toUpperCase();
+        if (source.text) {
+            const model = createIgrfModel(parseIgrf(source.text, label));
+            return register({
+                name, label, kind: 'igrf', loaded: true,
+                epoch: model.epoch,
+                startDate: model.start_date,
+                endDate: model.end_date,
+                load: () => Promise.resolve(model)
+            });
+        }
+        return register({
+            name, label, kind: 'igrf',
+            epoch: source.epoch,
+            startDate: new Date(source.startDate),
+            endDate: new Date(source.endDate),
+            load: () => fetchText(source.url)
+                .catch(() => {
+                    throw new Error(`${label} table ${source.url} is not installed: download it from ${IGRF_SOURCE} ` +
+                        'into the project root, or load it with "Load .COF / IGRF file"');
+                })
+                .then(text => {
+                    // A table that doesn't span the registered window, an older IGRF or a truncated download, would
+                    // leave dates the registry sends to it unmodelled
+                    const model = createIgrfModel(parseIgrf(text, label));
+                    if (model.start_date > new Date(source.startDate) || model.end_date < new Date(source.endDate)) {
+                        const years = dates => dates.map(date => new Date(date).getUTCFullYear()).join(' to ');
+                        throw new Error(`${source.url} covers ${years([model.start_date, model.end_date])}, not ` +
+                            `${years([source.startDate, source.endDate])}: download ${label} from ${IGRF_SOURCE}`);
+                    }
+                    return model;
+                })
+        });
+    }
+
+    /**
+     * @returns {Object} a copy of the entry's description: {name, label, kind, epoch, startDate, endDate}.
+     */
+    function describe(name) {
+        const entry = entries.get(name);
+        if (!entry) return null;
+        const { label, kind, epoch, startDate, endDate } = entry;
+        return { name, label, kind, epoch, startDate: new Date(startDate), endDate: new Date(endDate) };
+    }
+
+    /**
+     * @returns {Array} descriptions of all registered models, newest epoch first.
+     */
+    function list() {
+        return [...entries.keys()].map(describe).sort((a, b) => b.epoch - a.epoch || b.startDate - a.startDate);
+    }
+
+    function covers(description, date) {
+        return date >= description.startDate && date <= description.endDate;
+    }
+
+    /**
+     * @returns {String} the name of the WMM release whose validity covers the date, or null.
+     */
+    function wmmReleaseFor(date) {
+        const covering = list().find(d => d.kind === 'wmm' && covers(d, date));
+        return covering ? covering.name : null;
+    }
+
+    /**
+     * @returns {String} the name of the WMM release closest in time to a date outside all of them.
+     */
+    function nearestWmmRelease(date) {
+        const releases = list().filter(d => d.kind === 'wmm');
+        if (releases.length === 0) return null;
+        const oldest = releases[releases.length - 1];
+        return date < oldest.startDate ? oldest.name : releases[0].name;
+    }
+
+    /**
+     * Resolves the "wmm" pseudo-model: the WMM release covering the date, otherwise the historical IGRF
+     * model covering it, tables loaded from a file tried before the ones still to be downloaded. Only if no
+     * IGRF table is available is the nearest WMM release extrapolated; the returned model then reports
+     * outOfBounds, and missing names the IGRF table that would have covered the date.
+     */
+    function modelForDate(date, options) {
+        const timed = name => get(name).then(source => source.getTimedModel(date, !!options.allowOutOfBoundsModel));
+        const release = wmmReleaseFor(date);
+        if (release) return timed(release);
+
+        const nearest = nearestWmmRelease(date);
+        const historical = [...entries.values()]
+            .filter(entry => entry.kind === 'igrf' && covers(entry, date))
+            .sort((a, b) => !!b.loaded - !!a.loaded || b.epoch - a.epoch);
+        if (historical.length === 0) return timed(nearest);
+        const attempt = i => timed(historical[i].name).catch(error => {
+            console.warn(`${historical[i].label} unavailable:`, error);
+            if (i + 1 < historical.length) return attempt(i + 1);
+            console.warn(`Falling back to ${nearest} for ${date.toISOString().slice(0, 10)}`);
+            return timed(nearest).then(model => Object.assign(model, { missing: historical[0].label }));
+        });
+        return attempt(0);
+    }
+
+    /**
+     * @returns {Promise} a promise for the named model, loading its coefficients on first use.
+     */
+    function get(name) {
+        if (!entries.has(name)) return Promise.reject(new Error(`Unknown magnetic model: ${name}`));
+        if (!sources.has(name)) {
+            sources.set(name, entries.get(name).load().catch(error => {
+                sources.delete(name); // Allow a retry on the next request
+                throw error;
+            }));
+        }
+        return sources.get(name);
+    }
+
+    /**
+     * @param {String} name a registered model name, or "wmm" for the WMM release (or IGRF) covering the date.
+     * @param {Date} date the date to evaluate the model at.
+     * @param {Object} [options] {allowOutOfBoundsModel} as for geomagnetism.model().
+     * @returns {Promise} a promise for a model with point([lat, lon, altitude-km]) fixed at that date, and
+     *          start_date, end_date and outOfBounds describing the validity of that date.
+     */
+    function model(name, date, options = {}) {
+        if (name === LATEST_WMM) return modelForDate(date, options);
+        return get(name).then(source => source.getTimedModel(date, !!options.allowOutOfBoundsModel));
+    }
+
+    // Releases bundled with the geomagnetism package, each valid for the five years from its epoch. WMM-2015v2
+    // replaced WMM-2015 over the same years, so it's registered first to be the one picked for them
+    registerWmmJson('wmm-2025', 'wmm-2025.json', 2025);
+    registerWmmJson('wmm-2020', 'wmm-2020.json', 2020);
+    registerWmmJson('wmm-2015v2', 'wmm-2015v2.json', 2015);
+    registerWmmJson('wmm-2015', 'wmm-2015.json', 2015);
+
+    // High-resolution model shipped with this repository
+    registerCof('wmmhr', { url: './WMM.COF', label: 'WMMHR-2025', epoch: 2025 });
+
+    // Historical model: the IAGA IGRF-14 table (igrf14coeffs.txt, 5-year epochs from 1900) in the project root
+    registerIgrf('igrf-14', {
+        url: './igrf14coeffs.txt', label: 'IGRF-14', epoch: 2025,
+        startDate: "1900-01-01T00:00:00.000Z", endDate: "2030-01-01T00:00:00.000Z"
+    });
+
+    return {
+        LATEST_WMM,
+        list,
+        describe,
+        get,
+        model,
+        registerCof,
+        registerIgrf
+    };
+
+})();
@@ -0,0 +1,126 @@
+/**
+ * magnetic-poles.js - Magnetic dip poles, geomagnetic (dipole) poles and their drift over time
+ *
+ * The dip poles are where the field is vertical (inclination ±90°, H = 0) and are found by searching for the
+ * minimum of H. The geomagnetic poles are where the axis of the model's dipole term meets the surface.
+ * Positions are [lon, lat] in degrees, ready for d3.geo. The dip pole search takes hundreds of model evaluations,
+ * so the overlay has magvar-worker.js run it (see magvarGrid's locatePoles()).
+ */
+
+// Assumes geodesy.js is loaded first, and magneticModels (magnetic-models.js) for trackModels(). Also loaded by
+// magvar-worker.js, where window is the worker's global scope.
+
+window.magneticPoles = (function() {
+    "use strict";
+
+    const DEG = Math.PI / 180;
+    const SEARCH_START = 8;       // initial search step in degrees of arc
+    const SEARCH_END = 1e-4;      // stop once the step is below this
+    const BEARINGS = [0, 45, 90, 135, 180, 225, 270, 315];
+
+    /**
+     * @returns {Array} the [lon, lat] reached by travelling the angle (degrees of arc) along the bearing from [lon, lat].
+     */
+    function destination([lon, lat], bearing, angle) {
+        const point = geodesy.destination({ lat, lon }, bearing, angle * DEG * geodesy.EARTH_RADIUS_NM);
+        return [point.lon, point.lat];
+    }
+
+    /**
+     * Geomagnetic poles from the dipole coefficients. The northern pole is where the dipole axis leaves the
+     * northern hemisphere; the southern pole is its antipode.
+     *
+     * @param {Object} model a timed model with dipole() (see cof-model.js).
+     * @returns {Object} {north, south} as [lon, lat].
+     */
+    function geomagneticPoles(model) {
+        const { g10, g11, h11 } = model.dipole();
+        const b0 = Math.sqrt(g10 * g10 + g11 * g11 + h11 * h11);
+        const lat = 90 - Math.acos(-g10 / b0) / DEG;
+        const lon = Math.atan2(-h11, -g11) / DEG;
+        return {
+            north: [lon, lat],
+            south: [geodesy.normalizeLongitude(lon + 180), -lat]
+        };
+    }
+
+    /**
+     * Pattern search for the minimum of H, starting near the pole and halving the step whenever no
+     * neighbour improves. Steps are taken along great circles so the search behaves the same at the
+     * geographic poles.
+     */
+    function searchDipPole(model, start) {
+        const h = ([lon, lat]) => model.point([lat, lon]).h;
+        let best = start, bestH = h(start);
+        for (let step = SEARCH_START; step > SEARCH_END; ) {
+            let moved = false;
+            for (const bearing of BEARINGS) {
+                const candidate = destination(best, bearing, step);
+                const candidateH = h(candidate);
+                if (candidateH < bestH) {
+                    best = candidate;
+                    bestH = candidateH;
+                    moved = true;
+                }
+            }
+            if (!moved) step /= 2;
+        }
+        return best;
+    }
+
+    /**
+     * @param {Object} model a timed model with point() and dipole().
+     * @param {Object} [near] {north, south} positions to start the search from, e.g. the previous year's poles.
+     * @returns {Object} {north, south} dip pole positions as [lon, lat].
+     */
+    function dipPoles(model, near) {
+        const start = near || geomagneticPoles(model);
+        return {
+            north: searchDipPole(model, start.north),
+            south: searchDipPole(model, start.south)
+        };
+    }
+
+    /**
+     * @param {Object} model a timed model with point() and dipole().
+     * @param {Object} [near] {north, south} positions to start the dip pole search from.
+     * @returns {Object} {dip, geomagnetic}, each {north, south} as [lon, lat].
+     */
+    function locate(model, near) {
+        return { dip: dipPoles(model, near), geomagnetic: geomagneticPoles(model) };
+    }
+
+    /**
+     * Fixes the model on January 1st of every year in a range, for the drift tracks. Years the model can't cover
+     * without extrapolating are left out and listed as dropped, so the caller can say why the track is shorter.
+     *
+     * @param {String} modelName a magneticModels registry name.
+     * @param {Number} startYear first year of the track.
+     * @param {Number} endYear last year of the track.
+     * @returns {Promise} a promise for {years: [{year, date, model}] in year order, dropped: [year]}.
+     */
+    function trackModels(modelName, startYear, endYear) {
+        const years = [];
+        for (let year = startYear; year <= endYear; year++) years.push(year);
+        return Promise.all(years.map(year => {
+            const date = new Date(Date.UTC(year, 0, 1));
+            return magneticModels.model(modelName, date, { allowOutOfBoundsModel: true })
+                .then(model => model.outOfBounds ? null : { year, date, model })
+                .catch(error => {
+                    console.warn(`No magnetic model for ${year}:`, error);
+                    return null;
+                });
+        })).then(results => ({
+            years: results.filter(Boolean),
+            dropped: years.filter((year, i) => !results[i])
+        }));
+    }
+
+    return {
+        geomagneticPoles,
+        dipPoles,
+        locate,
+        trackModels
+    };
+
+})();
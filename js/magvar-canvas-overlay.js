@@ -2,20 +2,60 @@
  * magvar-canvas-overlay.js - Magnetic variation overlay rendering on canvas
  */
 
-// Assume geomagnetism and d3 are available globally
+// Assume magneticModels (magnetic-models.js), magneticElements (magnetic-elements.js), magneticPoles (magnetic-poles.js),
+// magvarGrid (magvar-grid.js), magvarField (magvar-field.js), decimalYear (cof-model.js) and d3 are available globally
 // Removed import statements for global scope approach
 
 let magvarResolution = 8;
 let magvarYear = new Date().getFullYear();
+let magvarDate = new Date(Date.UTC(magvarYear, 0, 1)); // exact date the model is evaluated at; magvarYear is its UTC year
+let magvarAltitude = 0; // km above the WGS-84 ellipsoid the field is evaluated at
+let magvarAltitudeLabel = 'sea level'; // the altitude as the user entered it, for the legend
+let magvarModelName = 'wmm';
+let magvarMode = 'vectors'; // 'vectors', 'isogonic' or 'gradient'
+let magvarElement = 'decl'; // field element shown: decl, incl, h, f, x, y, z or an *_sv rate (see magnetic-elements.js)
+let isogonicInterval = 5; // contour interval, in degrees or thousands of nT depending on the element
+let showCompassZones = true; // hatch the WMM blackout and caution zones around the magnetic poles
+let showMagneticPoles = true; // mark the dip and geomagnetic poles for the current year
+let poleDrift = null; // {start, end} years of the pole drift tracks, or null to hide them
+let overlayProduct = null; // product chosen by the overlayType configuration (see products.js), or null
 let canvasOverlay = null;
 let magModel = null;
-let cachedOverlayData = null; // Store generated vector data
+let cachedOverlayData = null; // Store generated vector data: the field product (magvar-field.js) at the vector detail
+let cachedIsogonicData = null; // Store generated isogonic lines
+let cachedElementGrid = null; // Regular lon/lat grid of the element shared by contour lines and the colour field
+let cachedZoneData = null; // Blackout and caution zone polygons for the current model
+let hatchPatterns = null; // Canvas fill patterns for the zones, created on first use
+let cachedPoleData = null; // Dip and geomagnetic poles for the current model
+let cachedPoleTrack = null; // {key, points, dropped} pole positions per year for the drift tracks, and the years left out
+let gridClient = null; // magvarGrid worker client that computes the grids and pole searches below off the main thread
+let pendingPoleModel = null; // model whose poles the worker is locating for the markers
+let pendingGrids = {}; // channel -> {model, element, altitude, key, promise} of the grid request in flight
+let yearCache = new Map(); // "model:date" -> model and generated data, so time-lapse playback can revisit years cheaply
 let lastProjection = null;
 let renderingThrottle = null;
 let isRendering = false;
 
 const REDRAW_WAIT = 16;
 const VECTOR_DETAIL = { lo: 5, hi: 15 };
+const ELEMENT_GRID = 60; // element grid spacing in degrees is ELEMENT_GRID / detail
+const ISOGONIC_LABEL_SPACING = 40; // grid points between repeated labels on one line
+const AGONIC_COLOR = 'rgba(255, 215, 0, 0.95)';
+const FIELD_ALPHA = Math.floor(0.4 * 255); // colour field transparency (on scale [0, 255])
+const FIELD_STEP = { moving: 4, still: 2 }; // pixel block size of the colour field while dragging / at rest
+const TRANSPARENT_BLACK = [0, 0, 0, 0];
+const LEGEND_STOPS = 10; // colour stops sampled from the element's scale for the legend gradient
+const ZONE_GRID = 1; // horizontal intensity grid spacing in degrees for the compass zones
+const ZONE_LATITUDE = 40; // zones are only searched poleward of this latitude (the dip poles stay far beyond it)
+const YEAR_CACHE_SIZE = 60; // dates kept in yearCache, least recently drawn dropped first
+const POLE_STYLE = {
+    dip: { color: 'rgba(255, 0, 255, 0.95)', label: 'dip' },
+    geomagnetic: { color: 'rgba(0, 230, 255, 0.95)', label: 'geomag' }
+};
+const ZONE_STYLE = {
+    blackout: { color: 'rgba(220, 0, 0, 0.9)', spacing: 6 },
+    caution: { color: 'rgba(255, 160, 0, 0.9)', spacing: 10 }
+};
 
 // Exposed globally
 window.createMagvarOverlay = function(container, projection) {
@@ -58,29 +98,82 @@ window.toggleMagvarOverlay = function(visible) {
 
 // Update magnetic model and regenerate data
 // Called from app.js or other parts of the application logic
+// Returns a promise that resolves once the model is built and the overlay redrawn
 window.updateMagneticModel = function() {
-    try {
-        // Use the globally available geomagnetism object
-        magModel = geomagnetism.model(new Date(magvarYear, 0, 1), { allowOutOfBoundsModel: true });
-         console.log('Magnetic model updated for year:', magvarYear);
-         // Regenerate field data with high detail whenever the model updates
-         generateMagneticField(true);
-         // Trigger a render after data is regenerated
-         renderMagvarOverlay();
-    } catch(error) {
-        console.error("Error creating magnetic model:", error);
-        magModel = null;
-         // Clear cached data if model creation failed
-         cachedOverlayData = null;
-         // Render to clear the canvas if there's no model/data
-         renderMagvarOverlay();
-    }
+    const requestedName = magvarModelName, requestedDate = magvarDate;
+    const cached = yearCache.get(dateKey(requestedName, requestedDate));
+    // Ask the model registry for the selected model at the requested date, unless this date was drawn before
+    const request = cached
+        ? Promise.resolve(cached.model)
+        : magneticModels.model(requestedName, requestedDate, { allowOutOfBoundsModel: true });
+    return request
+        .then(model => {
+            // Ignore results for a model or date that has since been replaced
+            if (requestedName !== magvarModelName || requestedDate !== magvarDate) return;
+            magModel = model;
+            if (cached) {
+                // Reuse everything generated when this year was last drawn
+                cachedOverlayData = cached.overlayData;
+                cachedIsogonicData = cached.isogonicData;
+                cachedElementGrid = cached.elementGrid;
+                cachedZoneData = cached.zoneData;
+                cachedPoleData = cached.poleData;
+                console.log('Magnetic model restored from cache:', requestedName, 'for date:', requestedDate);
+            } else {
+                cachedIsogonicData = null;
+                cachedElementGrid = null;
+                cachedZoneData = null;
+                cachedPoleData = null;
+                console.log('Magnetic model updated:', requestedName, 'for date:', requestedDate);
+                // Regenerate field data with high detail whenever the model updates
+                generateMagneticField(true);
+            }
+            // Trigger a render after data is regenerated
+            renderMagvarOverlay();
+            // Resolve once the grids the render asked the worker for have arrived
+            return gridsSettled();
+        })
+        .catch(error => {
+            console.error("Error creating magnetic model:", error);
+            magModel = null;
+            // Clear cached data if model creation failed
+            cachedOverlayData = null;
+            cachedIsogonicData = null;
+            cachedElementGrid = null;
+            cachedZoneData = null;
+            cachedPoleData = null;
+            // Render to clear the canvas if there's no model/data
+            renderMagvarOverlay();
+        });
 };
 
+function dateKey(modelName, date) {
+    return `${modelName}:${date.toISOString()}`;
+}
+
+// Store the model and everything generated from it for the current date, dropping the oldest date when full
+function rememberYear() {
+    if (!magModel) return;
+    const key = dateKey(magvarModelName, magvarDate);
+    yearCache.delete(key);
+    yearCache.set(key, {
+        model: magModel,
+        overlayData: cachedOverlayData,
+        isogonicData: cachedIsogonicData,
+        elementGrid: cachedElementGrid,
+        zoneData: cachedZoneData,
+        poleData: cachedPoleData
+    });
+    if (yearCache.size > YEAR_CACHE_SIZE) yearCache.delete(yearCache.keys().next().value);
+}
+
 // Exposed globally
 window.setMagvarResolution = function(resolution) {
     if (magvarResolution !== resolution) {
         magvarResolution = resolution;
+        yearCache.clear();
+        cachedIsogonicData = null;
+        cachedElementGrid = null;
          console.log('Magnetic resolution set to', resolution);
          // Regenerate field data and render with new resolution
         generateMagneticField(true);
@@ -90,15 +183,238 @@ window.setMagvarResolution = function(resolution) {
 };
 
 // Exposed globally
+// Evaluates the model on January 1st of the year
+// Returns a promise that resolves once the year's model is built and the overlay redrawn
 window.setMagvarYear = function(year) {
-    if (magvarYear !== year) {
-        magvarYear = year;
-         console.log('Magnetic year set to', year);
-        updateMagneticModel(); // This will also regenerate data and render
+    return setMagvarDate(new Date(Date.UTC(year, 0, 1)));
+};
+
+// Exposed globally
+// Evaluates the model at an exact date, e.g. a flight day or an AIRAC effective date
+// Returns a promise that resolves once the date's model is built and the overlay redrawn
+window.setMagvarDate = function(date) {
+    if (magvarDate.getTime() !== date.getTime()) {
+        magvarDate = new Date(date.getTime());
+        magvarYear = magvarDate.getUTCFullYear();
+         console.log('Magnetic date set to', magvarDate.toISOString());
+        return updateMagneticModel(); // This will also regenerate data and render
+    }
+    return Promise.resolve();
+};
+
+// Exposed globally
+// altitude is in km above the WGS-84 ellipsoid; label is how the legend shows it, e.g. "FL350"
+window.setMagvarAltitude = function(altitude, label) {
+    magvarAltitudeLabel = label || `${altitude} km`;
+    if (magvarAltitude !== altitude) {
+        magvarAltitude = altitude;
+        yearCache.clear();
+        cachedOverlayData = null;
+        cachedElementGrid = null;
+        cachedIsogonicData = null;
+        cachedZoneData = null;
+        console.log('Magnetic altitude set to', altitude, 'km');
     }
+    renderMagvarOverlay();
 };
 
+// Exposed globally
+window.setMagvarModel = function(name) {
+    if (magvarModelName !== name) {
+        magvarModelName = name;
+        console.log('Magnetic model set to', name);
+        updatePoleTrack();
+        return updateMagneticModel(); // This will also regenerate data and render
+    }
+    return Promise.resolve();
+};
+
+// Exposed globally
+window.setMagvarMode = function(mode) {
+    if (magvarMode !== mode) {
+        magvarMode = mode;
+        console.log('Magnetic display mode set to', mode);
+        renderMagvarOverlay();
+    }
+};
+
+// Exposed globally
+window.setIsogonicInterval = function(interval) {
+    if (isogonicInterval !== interval) {
+        isogonicInterval = interval;
+        yearCache.clear();
+        cachedIsogonicData = null;
+        console.log('Isogonic interval set to', interval);
+        renderMagvarOverlay();
+    }
+};
+
+// Exposed globally
+window.setMagvarElement = function(element) {
+    if (magvarElement !== element) {
+        magvarElement = element;
+        yearCache.clear();
+        cachedOverlayData = null;
+        cachedElementGrid = null;
+        cachedIsogonicData = null;
+        console.log('Magnetic element set to', element);
+        renderMagvarOverlay();
+    }
+};
+
+// Exposed globally
+// The product's element is shown, and while its grid was computed for the model, date and altitude being drawn
+// it colours the field in place of the overlay's own element grid. null leaves the element to setMagvarElement.
+window.setMagvarProduct = function(product) {
+    overlayProduct = product;
+    console.log('Magnetic overlay product set to', product ? product.type : null);
+    if (product) window.setMagvarElement(product.element);
+    renderMagvarOverlay();
+};
+
+// Returns the overlay product if its grid matches what is drawn now, otherwise null
+function currentProduct() {
+    const product = overlayProduct;
+    if (!product || !product.interpolate || !magModel || product.element !== magvarElement) return null;
+    const current = product.source === magModel.name && product.date.getTime() === magvarDate.getTime() && product.altitude === magvarAltitude;
+    return current ? product : null;
+}
+
+// Exposed globally
+window.setCompassZones = function(visible) {
+    if (showCompassZones !== visible) {
+        showCompassZones = visible;
+        console.log('Compass zones', visible ? 'shown' : 'hidden');
+        renderMagvarOverlay();
+    }
+};
+
+// Exposed globally
+window.setMagneticPoles = function(visible) {
+    if (showMagneticPoles !== visible) {
+        showMagneticPoles = visible;
+        console.log('Magnetic poles', visible ? 'shown' : 'hidden');
+        renderMagvarOverlay();
+    }
+};
+
+// Exposed globally
+// range is {start, end} in years, or null to hide the drift tracks
+window.setPoleDrift = function(range) {
+    poleDrift = range;
+    console.log('Pole drift set to', range);
+    updatePoleTrack();
+    renderMagvarOverlay();
+};
+
+// Function to compute the drift tracks for the current model and drift range in the background
+// The models for each year are fixed here and the worker searches for their poles; tracks are cached per model
+// name and range and stale results are dropped
+function updatePoleTrack() {
+    if (!poleDrift) return;
+    const key = `${magvarModelName}:${poleDrift.start}-${poleDrift.end}`;
+    if (cachedPoleTrack?.key === key) return;
+    cachedPoleTrack = { key, points: null, dropped: [] };
+    if (!gridClient) gridClient = magvarGrid.createClient();
+    magneticPoles.trackModels(magvarModelName, poleDrift.start, poleDrift.end)
+        .then(({ years, dropped }) => {
+            if (cachedPoleTrack?.key !== key) return null;
+            cachedPoleTrack.dropped = dropped;
+            if (dropped.length > 0) console.warn(`Pole drift: no ${magvarModelName} model for ${formatYearRanges(dropped)}`);
+            if (years.length === 0) return [];
+            return gridClient.locatePoles('drift', years).then(poles => poles && years.map(({ year }, k) => Object.assign({ year }, poles[k])));
+        })
+        .then(points => {
+            if (!points || cachedPoleTrack?.key !== key) return;
+            cachedPoleTrack.points = points;
+            console.log(`Computed pole drift for ${points.length} years`);
+            renderMagvarOverlay();
+        })
+        .catch(error => console.error('Cannot compute pole drift:', error));
+}
+
+// Function to have the worker locate the poles for the current model's markers
+// Called from drawMagneticPoles while the cached poles are for another model
+function generatePoles() {
+    if (!magModel || pendingPoleModel === magModel) return;
+    if (!gridClient) gridClient = magvarGrid.createClient();
+    const model = pendingPoleModel = magModel;
+    gridClient.locatePoles('poles', [{ model, date: magvarDate }])
+        .then(poles => {
+            if (pendingPoleModel === model) pendingPoleModel = null;
+            if (!poles || model !== magModel) return;
+            cachedPoleData = Object.assign({ model }, poles[0]);
+            renderMagvarOverlay();
+        })
+        .catch(error => {
+            if (pendingPoleModel === model) pendingPoleModel = null;
+            console.error('Cannot locate the magnetic poles:', error);
+        });
+}
+
+// Years as runs, e.g. [1900, 1901, 1902, 1950] -> "1900–1902, 1950"
+function formatYearRanges(years) {
+    const runs = [];
+    years.forEach(year => {
+        const run = runs[runs.length - 1];
+        if (run && run[1] === year - 1) run[1] = year; else runs.push([year, year]);
+    });
+    return runs.map(([first, last]) => first === last ? String(first) : `${first}–${last}`).join(', ');
+}
+
+// Function to request a grid for the current model, date, altitude and element from the worker
+// spec is the grid as described in magvar-grid.js; key identifies it within the channel (e.g. its detail), so a
+// render asking for the grid already on its way doesn't submit it again. A new request on the channel cancels the
+// previous one. onFields runs with the Float32Arrays and the full spec unless the request was cancelled or the settings have
+// changed since. Returns the pending promise, or null if the same grid is already on its way.
+function requestGrid(channel, key, spec, onFields) {
+    const pending = pendingGrids[channel];
+    if (pending && pending.model === magModel && pending.element === magvarElement && pending.altitude === magvarAltitude && pending.key === key) {
+        return null;
+    }
+    if (!gridClient) gridClient = magvarGrid.createClient();
+
+    const request = { model: magModel, element: magvarElement, altitude: magvarAltitude, key };
+    const { key: elementKey, secular, factor } = magneticElements.get(magvarElement);
+    const element = { key: elementKey, secular, factor };
+    const current = () => request.model === magModel && request.element === magvarElement && request.altitude === magvarAltitude;
+
+    request.spec = Object.assign({ altitude: magvarAltitude, element }, spec);
+    pendingGrids[channel] = request;
+    request.promise = gridClient.submit(channel, magModel, magvarDate, request.spec)
+        .then(fields => {
+            if (pendingGrids[channel] === request) delete pendingGrids[channel];
+            if (fields && current()) onFields(fields, request.spec);
+        })
+        .catch(error => {
+            if (pendingGrids[channel] === request) delete pendingGrids[channel];
+            console.error(`Cannot compute the ${channel} grid:`, error);
+        });
+    return request.promise;
+}
+
+/**
+ * Samples the current field grids at a point without evaluating the model: the element grid when it has been
+ * computed (isogonic and colour field modes), otherwise the coarser vector grid.
+ *
+ * @param {Number} λ longitude in degrees.
+ * @param {Number} φ latitude in degrees.
+ * @returns {Object} {decl, h, value} with value in the selected element's display units, or null if no grid
+ *          for the current model and element is available.
+ */
+window.sampleMagvarField = function(λ, φ) {
+    const grid = cachedElementGrid?.field || cachedOverlayData?.field;
+    if (!grid || grid.element !== magvarElement) return null;
+    return grid.sample(λ, φ);
+};
+
+// Returns a promise that resolves once every grid request in flight has completed or been cancelled
+function gridsSettled() {
+    return Promise.all(Object.values(pendingGrids).map(request => request.promise));
+}
+
 // Function to generate the magnetic field data grid (separated from rendering)
+// The grid is computed by the worker; its field product is cached and the overlay redrawn once it arrives
 // Called from updateMagneticModel, setMagvarResolution, and renderMagvarOverlay
 function generateMagneticField(highDetail = false) {
     console.log('generateMagneticField called with highDetail:', highDetail);
@@ -108,47 +424,382 @@ function generateMagneticField(highDetail = false) {
     const detail = highDetail ? Math.max(VECTOR_DETAIL.hi, magvarResolution) : Math.min(VECTOR_DETAIL.lo, magvarResolution);
     const gridStep = 180 / detail;
 
-    const vectors = [];
-    // Iterate over a global grid to generate data points
-    for (let lat = -90 + gridStep / 2; lat < 90; lat += gridStep) {
-        for (let lon = -180 + gridStep / 2; lon < 180; lon += gridStep) {
-            try {
-                // Get magnetic declination from the model
-                const declination = magModel.point([lat, lon]).decl;
-                // Store lat, lon, declination, AND pre-calculated λ, φ (in radians)
-                vectors.push({ lat, lon, declination, λ: lon * Math.PI / 180, φ: lat * Math.PI / 180 });
-            } catch(error) {
-                 // console.error("Error getting magnetic point data for", lat, lon, ":", error);
-                 // Continue even if some points fail
+    // Cell centres of a global grid, north to south: declination for the arrow direction, the selected element
+    // for its colour and horizontal intensity for the compass zone
+    const spec = {
+        lo1: -180 + gridStep / 2, la1: 90 - gridStep / 2, dx: gridStep, dy: -gridStep,
+        nx: Math.round(360 / gridStep), ny: Math.round(180 / gridStep),
+        fields: ['decl', 'h', 'value']
+    };
+    requestGrid('vectors', detail, spec, (fields, fullSpec) => {
+        // Store the field and the detail level it was generated at
+        const field = magvarField.build(magModel, magvarDate, fullSpec, fields);
+        cachedOverlayData = { field: field, highDetail: highDetail, generatedDetail: detail, element: magvarElement };
+        console.log(`Generated magnetic field data with ${spec.nx * spec.ny} vectors at detail ${detail}. High detail requested: ${highDetail}`);
+        renderMagvarOverlay();
+    });
+}
+
+// Function to generate the regular grid of the selected element used by the isogonic and colour field modes
+// Grid runs from 180°W to 180°E inclusive (so lines meet at the antimeridian) and from 90°N to 90°S
+// Returns the cached grid, or null while the worker is still computing it (the overlay is redrawn when it arrives)
+function generateElementGrid() {
+    console.log('generateElementGrid called');
+    if (!magModel) return null;
+    if (cachedElementGrid) return cachedElementGrid;
+
+    const detail = Math.max(VECTOR_DETAIL.hi, magvarResolution);
+    const nx = Math.round(360 / (ELEMENT_GRID / detail)) + 1;
+    const step = 360 / (nx - 1);
+    const ny = (nx - 1) / 2 + 1;
+    // Declination and horizontal intensity too, so the grid can be sampled for readouts (see sampleMagvarField)
+    const spec = { lo1: -180, la1: 90, dx: step, dy: -step, nx, ny, fields: ['value', 'decl', 'h'] };
+    requestGrid('element', detail, spec, (fields, fullSpec) => {
+        const field = magvarField.build(magModel, magvarDate, fullSpec, fields);
+        cachedElementGrid = { nx, ny, step, values: fields.value, element: magvarElement, wraps: !!magneticElements.get(magvarElement).wraps, field };
+        renderMagvarOverlay();
+    });
+    return null;
+}
+
+// Function to compute contour lines of the selected element every isogonicInterval (isogonic lines for
+// declination, isoclinic for inclination, isodynamic for intensities)
+// Uses d3.contours() from d3-contour on the element grid
+function generateIsogonicLines() {
+    console.log('generateIsogonicLines called with interval:', isogonicInterval);
+    if (!magModel || !d3.contours) return;
+
+    const grid = generateElementGrid();
+    if (!grid) return;
+    const { nx, ny, step, values, wraps: angular } = grid;
+    const element = magneticElements.get(magvarElement);
+    const interval = isogonicInterval * element.intervalUnit;
+
+    const levels = [];
+    const first = Math.floor(element.range[0] / interval) * interval + interval;
+    for (let level = first; level < element.range[1]; level += interval) levels.push(level);
+
+    // Cells where declination wraps between +180° and -180° (towards the magnetic poles) would produce
+    // a spurious contour for every level, so lines are broken wherever they pass through one
+    const wraps = (gi, gj) => {
+        if (!angular) return false;
+        const i = Math.min(Math.floor(gi), nx - 2), j = Math.min(Math.floor(gj), ny - 2);
+        const corners = [values[j * nx + i], values[j * nx + i + 1], values[(j + 1) * nx + i], values[(j + 1) * nx + i + 1]];
+        return Math.max(...corners) - Math.min(...corners) > 180;
+    };
+
+    const lines = d3.contours().size([nx, ny]).thresholds(levels)(values).map(contour => {
+        const runs = [];
+        contour.coordinates.forEach(polygon => polygon.forEach(ring => {
+            let run = [];
+            for (const [x, y] of ring) {
+                // Contour coordinates are in cell units with grid values at cell centres (i + 0.5, j + 0.5);
+                // points outside the grid belong to the ring's border padding, not to the isogonic line
+                const gi = x - 0.5, gj = y - 0.5;
+                if (gi < 0 || gi > nx - 1 || gj < 0 || gj > ny - 1 || wraps(gi, gj)) {
+                    if (run.length > 1) runs.push(run);
+                    run = [];
+                } else {
+                    run.push([-180 + gi * step, 90 - gj * step]);
+                }
+            }
+            if (run.length > 1) runs.push(run);
+        }));
+        return { level: contour.value, coordinates: runs };
+    }).filter(line => line.coordinates.length > 0);
+
+    cachedIsogonicData = { interval: isogonicInterval, element: magvarElement, lines: lines };
+    console.log(`Generated ${lines.length} contour levels on a ${nx}x${ny} grid`);
+}
+
+// Function to draw the cached contour lines with inline labels, the zero line (agonic for declination,
+// magnetic equator for inclination) highlighted
+// Called from renderMagvarOverlay
+function drawIsogonicLines(ctx, projection) {
+    if (!cachedIsogonicData?.lines || !projection) return;
+
+    const path = d3.geo.path().projection(projection).context(ctx);
+    const center = projection.rotate().map(d => -d);
+    const visible = point => d3.geo.distance(point, [center[0], center[1]]) < Math.PI / 2 - 0.05;
+
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    for (const { level, coordinates } of cachedIsogonicData.lines) {
+        const agonic = level === 0;
+        ctx.beginPath();
+        path({ type: 'MultiLineString', coordinates: coordinates });
+        ctx.strokeStyle = agonic ? AGONIC_COLOR : magneticElements.colorStyle(magvarElement, level, 0.9);
+        ctx.lineWidth = agonic ? 3 : 1.2;
+        ctx.stroke();
+    }
+
+    // Labels along each line, rotated with the line and kept upright
+    ctx.font = 'bold 11px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for (const { level, coordinates } of cachedIsogonicData.lines) {
+        const label = magneticElements.get(magvarElement).label(level);
+        for (const run of coordinates) {
+            for (let k = Math.floor(Math.min(run.length, ISOGONIC_LABEL_SPACING) / 2); k < run.length - 1; k += ISOGONIC_LABEL_SPACING) {
+                if (!visible(run[k]) || !visible(run[k + 1])) continue;
+                const p0 = projection(run[k]), p1 = projection(run[k + 1]);
+                let angle = Math.atan2(p1[1] - p0[1], p1[0] - p0[0]);
+                if (angle > Math.PI / 2) angle -= Math.PI;
+                if (angle < -Math.PI / 2) angle += Math.PI;
+
+                ctx.save();
+                ctx.translate(p0[0], p0[1]);
+                ctx.rotate(angle);
+                ctx.lineWidth = 3;
+                ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+                ctx.strokeText(label, 0, 0);
+                ctx.fillStyle = level === 0 ? AGONIC_COLOR : '#fff';
+                ctx.fillText(label, 0, 0);
+                ctx.restore();
             }
         }
     }
+}
+
+// Function to compute the WMM blackout (H < 2000 nT) and caution (H < 6000 nT) zones as GeoJSON polygons,
+// by contouring a horizontal intensity grid. Only the polar caps are evaluated (by the worker); the rest of the
+// grid is filled with a value outside both zones. The overlay is redrawn once the zones are ready.
+function generateCompassZones() {
+    console.log('generateCompassZones called');
+    if (!magModel || !d3.contours) return;
+
+    const step = ZONE_GRID;
+    const nx = 360 / step + 1, ny = 180 / step + 1;
+    const spec = { lo1: -180, la1: 90, dx: step, dy: -step, nx, ny, minLatitude: ZONE_LATITUDE, fields: ['h'] };
+    requestGrid('zones', step, spec, fields => {
+        cachedZoneData = { model: magModel, zones: compassZones(fields.h, nx, ny, step) };
+        renderMagvarOverlay();
+    });
+}
+
+// Contours the horizontal intensity grid at the zone thresholds into GeoJSON fill polygons and outlines
+function compassZones(h, nx, ny, step) {
+    // Negated so that d3.contours, which encloses values above each threshold, encloses the low-H regions
+    const fill = -2 * magneticElements.ZONES.caution;
+    const values = Float64Array.from(h, value => isNaN(value) ? fill : -value);
+
+    const { blackout, caution } = magneticElements.ZONES;
+    return d3.contours().size([nx, ny]).thresholds([-caution, -blackout])(values).map(contour => {
+        const outline = [];
+        const polygons = contour.coordinates.map(polygon => {
+            const rings = polygon.map(ring => {
+                let run = [];
+                const coordinates = ring.map(([x, y]) => {
+                    // Grid values sit at cell centres; points outside the grid are the ring's border padding,
+                    // which is clamped onto the grid edge for the fill but left out of the outline
+                    const gi = x - 0.5, gj = y - 0.5;
+                    const inside = gi >= 0 && gi <= nx - 1 && gj >= 0 && gj <= ny - 1;
+                    const point = [-180 + Math.max(0, Math.min(nx - 1, gi)) * step, 90 - Math.max(0, Math.min(ny - 1, gj)) * step];
+                    if (inside) {
+                        run.push(point);
+                    } else {
+                        if (run.length > 1) outline.push(run);
+                        run = [];
+                    }
+                    return point;
+                });
+                if (run.length > 1) outline.push(run);
+                return coordinates;
+            });
+            // Grid rows run southwards, which flips the winding; on the sphere a polygon must wind so that
+            // it encloses the smaller area, so rings that came out enclosing the rest of the globe are reversed
+            if (d3.geo.area({ type: 'Polygon', coordinates: rings }) > 2 * Math.PI) rings.forEach(ring => ring.reverse());
+            return rings;
+        });
+        return {
+            zone: contour.value === -blackout ? 'blackout' : 'caution',
+            area: { type: 'MultiPolygon', coordinates: polygons },
+            outline: { type: 'MultiLineString', coordinates: outline }
+        };
+    });
+}
+
+// Diagonal hatching, denser for the blackout zone
+function createHatchPatterns(ctx) {
+    const patterns = {};
+    for (const [zone, { color, spacing }] of Object.entries(ZONE_STYLE)) {
+        const tile = d3.select(document.createElement('canvas')).attr('width', spacing).attr('height', spacing).node();
+        const tileContext = tile.getContext('2d');
+        tileContext.strokeStyle = color;
+        tileContext.lineWidth = 1.5;
+        tileContext.beginPath();
+        // Main diagonal plus the corners, so the lines join across tiles
+        tileContext.moveTo(0, spacing); tileContext.lineTo(spacing, 0);
+        tileContext.moveTo(-1, 1); tileContext.lineTo(1, -1);
+        tileContext.moveTo(spacing - 1, spacing + 1); tileContext.lineTo(spacing + 1, spacing - 1);
+        tileContext.stroke();
+        patterns[zone] = ctx.createPattern(tile, 'repeat');
+    }
+    return patterns;
+}
+
+// Function to draw the compass zones as hatched polygons with solid outlines
+// Called from renderMagvarOverlay
+function drawCompassZones(ctx, projection) {
+    if (!cachedZoneData || cachedZoneData.model !== magModel) generateCompassZones();
+    if (!cachedZoneData || !projection) return;
+    hatchPatterns = hatchPatterns || createHatchPatterns(ctx);
+
+    const path = d3.geo.path().projection(projection).context(ctx);
+    // Caution first so the blackout hatching sits on top of it
+    for (const name of ['caution', 'blackout']) {
+        for (const { zone, area, outline } of cachedZoneData.zones) {
+            if (zone !== name) continue;
+            ctx.beginPath();
+            path(area);
+            ctx.fillStyle = hatchPatterns[zone];
+            ctx.fill();
 
-    // Store the generated vectors and detail level they were generated at
-    cachedOverlayData = { vectors: vectors, highDetail: highDetail, generatedDetail: detail };
-     console.log(`Generated magnetic field data with ${vectors.length} vectors at detail ${detail}. High detail requested: ${highDetail}`);
+            ctx.beginPath();
+            path(outline);
+            ctx.strokeStyle = ZONE_STYLE[zone].color;
+            ctx.lineWidth = 1.5;
+            ctx.stroke();
+        }
+    }
+}
+
+// Function to draw the dip and geomagnetic pole markers for the current year and, if enabled, their drift tracks
+// Called from renderMagvarOverlay
+function drawMagneticPoles(ctx, projection) {
+    if (!projection) return;
+    if (!cachedPoleData || cachedPoleData.model !== magModel) generatePoles();
+    const current = cachedPoleData?.model === magModel ? cachedPoleData : null;
+
+    const path = d3.geo.path().projection(projection).context(ctx);
+    const center = projection.rotate().map(d => -d);
+    const visible = point => d3.geo.distance(point, [center[0], center[1]]) < Math.PI / 2;
+
+    ctx.font = 'bold 11px Arial';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+
+    const points = poleDrift && cachedPoleTrack?.points;
+    for (const kind of ['geomagnetic', 'dip']) {
+        const { color, label } = POLE_STYLE[kind];
+
+        // Drift tracks: a dashed line through the yearly positions, dots for each year, end years labelled
+        if (points && points.length > 1) {
+            for (const pole of ['north', 'south']) {
+                const track = points.map(point => point[kind][pole]);
+                ctx.beginPath();
+                path({ type: 'LineString', coordinates: track });
+                ctx.setLineDash([4, 3]);
+                ctx.strokeStyle = color;
+                ctx.lineWidth = 1.5;
+                ctx.stroke();
+                ctx.setLineDash([]);
+
+                ctx.fillStyle = color;
+                track.forEach((position, k) => {
+                    if (!visible(position)) return;
+                    const [x, y] = projection(position);
+                    ctx.beginPath();
+                    ctx.arc(x, y, 2, 0, 2 * Math.PI);
+                    ctx.fill();
+                    if (k === 0 || k === track.length - 1) ctx.fillText(String(points[k].year), x + 5, y + 8);
+                });
+            }
+        }
+
+        // Markers for the current year: circles for dip poles, diamonds for geomagnetic poles
+        for (const pole of ['north', 'south']) {
+            if (!showMagneticPoles || !current) continue;
+            const position = current[kind][pole];
+            if (!visible(position)) continue;
+            const [x, y] = projection(position);
+            ctx.beginPath();
+            if (kind === 'dip') {
+                ctx.arc(x, y, 5, 0, 2 * Math.PI);
+            } else {
+                ctx.moveTo(x, y - 6); ctx.lineTo(x + 6, y); ctx.lineTo(x, y + 6); ctx.lineTo(x - 6, y);
+                ctx.closePath();
+            }
+            ctx.fillStyle = color;
+            ctx.fill();
+            ctx.lineWidth = 1.5;
+            ctx.strokeStyle = '#fff';
+            ctx.stroke();
+
+            const text = `${pole === 'north' ? 'N' : 'S'} ${label} ${magvarYear}`;
+            ctx.lineWidth = 3;
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+            ctx.strokeText(text, x + 8, y - 6);
+            ctx.fillStyle = color;
+            ctx.fillText(text, x + 8, y - 6);
+        }
+    }
+}
+
+// Function to draw the colour field of the selected element, adapted from Cambecc's interpolateField()/drawOverlay():
+// every visible pixel block inside the globe's sphere is inverted through the projection and coloured
+// from the interpolated element value. Uses larger blocks while the globe is moving.
+function drawElementField(ctx, projection, width, height, moving) {
+    const product = currentProduct();
+    const grid = product ? null : generateElementGrid();
+    if (!product && !grid) return;
+    const interpolate = product ? product.interpolate : (λ, φ) => grid.field.interpolate('value', λ, φ);
+
+    // Mask: fill the sphere on a detached canvas and keep only pixels with non-zero alpha
+    const maskCanvas = d3.select(document.createElement('canvas')).attr('width', width).attr('height', height).node();
+    const maskContext = maskCanvas.getContext('2d');
+    maskContext.beginPath();
+    d3.geo.path().projection(projection).context(maskContext)({ type: 'Sphere' });
+    maskContext.fillStyle = 'rgba(255, 0, 0, 1)';
+    maskContext.fill();
+
+    const imageData = maskContext.getImageData(0, 0, width, height);
+    const data = imageData.data; // layout: [r, g, b, a, r, g, b, a, ...]
+    const step = moving ? FIELD_STEP.moving : FIELD_STEP.still;
+    const gradient = product ? product.scale.gradient : magneticElements.get(grid.element).gradient;
+    const point = [];
+
+    for (let x = 0; x < width; x += step) {
+        for (let y = 0; y < height; y += step) {
+            // Blocks whose corner is outside the globe are cleared so no mask colour is left at the rim
+            let color = TRANSPARENT_BLACK;
+            if (data[(y * width + x) * 4 + 3] > 0) {
+                point[0] = x; point[1] = y;
+                const coord = projection.invert(point);
+                const value = coord && isFinite(coord[0]) ? interpolate(coord[0], coord[1]) : null;
+                if (value !== null) {
+                    color = gradient(value, FIELD_ALPHA);
+                }
+            }
+            for (let dx = 0; dx < step && x + dx < width; dx++) {
+                for (let dy = 0; dy < step && y + dy < height; dy++) {
+                    const i = ((y + dy) * width + x + dx) * 4;
+                    data[i] = color[0];
+                    data[i + 1] = color[1];
+                    data[i + 2] = color[2];
+                    data[i + 3] = color[3];
+                }
+            }
+        }
+    }
+
+    ctx.putImageData(imageData, 0, 0);
 }
 
 // Function to draw the cached vectors onto the canvas using the current projection
 // Called from renderMagvarOverlay
 function drawMagvarVectors(ctx, projection) {
     console.log('drawMagvarVectors called');
-    if (!cachedOverlayData?.vectors || !projection) {
+    if (!cachedOverlayData?.field || !projection) {
          console.log('drawMagvarVectors: No cached data or projection', cachedOverlayData, projection);
         return;
     }
 
-    console.log(`Drawing ${cachedOverlayData.vectors.length} vectors.`);
-     if (cachedOverlayData.vectors.length > 0) {
-         console.log('Sample vector data:', cachedOverlayData.vectors[0]);
-     }
+    const { header, fields } = cachedOverlayData.field;
+    console.log(`Drawing ${header.nx * header.ny} vectors.`);
 
-    const colorScale = declination => {
-        const intensity = Math.min(Math.abs(declination) / 20, 1);
-        return declination < 0
-            ? `rgba(255, ${255 * (1 - intensity)}, ${255 * (1 - intensity)}, 0.3)`
-            : `rgba(${255 * (1 - intensity)}, ${255 * (1 - intensity)}, 255, 0.3)`;
-    };
+    const colorScale = value => magneticElements.colorStyle(magvarElement, value, 0.3);
 
     ctx.imageSmoothingEnabled = true;
     ctx.lineCap = 'round';
@@ -163,8 +814,13 @@ function drawMagvarVectors(ctx, projection) {
     const cosφ0 = Math.cos(φ0);
     const sinφ0 = Math.sin(φ0);
 
-    for (const { lat, lon, declination, λ, φ } of cachedOverlayData.vectors) {
-        // Check if the point is on the visible hemisphere using pre-calculated λ and φ
+    cachedOverlayData.field.forEachPoint((lon, lat, i) => {
+        const declination = fields.decl[i], value = fields.value[i];
+        // No declination arrows where the compass is useless; the hatched blackout zone is drawn instead
+        if (showCompassZones && magneticElements.zone(fields.h[i]) === 'blackout') return;
+        const λ = lon * Math.PI / 180, φ = lat * Math.PI / 180;
+
+        // Check if the point is on the visible hemisphere using λ and φ in radians
         // Simplified dot product calculation slightly
         const cosλ_λ0 = Math.cos(λ - λ0);
         const dot = Math.sin(φ0) * Math.sin(φ) + Math.cos(φ0) * Math.cos(φ) * cosλ_λ0;
@@ -192,7 +848,7 @@ function drawMagvarVectors(ctx, projection) {
                         ctx.beginPath();
                         ctx.moveTo(point[0], point[1]);
                         ctx.lineTo(mx, my);
-                        ctx.strokeStyle = colorScale(declination);
+                        ctx.strokeStyle = colorScale(value);
                         ctx.lineWidth = lineWidth;
                         ctx.stroke();
 
@@ -203,7 +859,7 @@ function drawMagvarVectors(ctx, projection) {
                             ctx.lineTo(mx - arrowSize * Math.cos(angle - Math.PI / 6), my - arrowSize * Math.sin(angle - Math.sin(angle - Math.PI / 6)));
                             ctx.lineTo(mx - arrowSize * Math.cos(angle + Math.PI / 6), my - arrowSize * Math.sin(angle + Math.PI / 6));
                             ctx.closePath();
-                            ctx.fillStyle = colorScale(declination);
+                            ctx.fillStyle = colorScale(value);
                             ctx.fill();
                         }
                     }
@@ -214,7 +870,7 @@ function drawMagvarVectors(ctx, projection) {
                 }
             }
         }
-    }
+    });
 }
 
 function drawMagvarLegend(ctx, width, height) {
@@ -222,10 +878,13 @@ function drawMagvarLegend(ctx, width, height) {
     const legendX = width - legendWidth - 20;
     const legendY = height - legendHeight - 20;
 
+    // Sample the selected element's colour scale across its bounds
+    const element = magneticElements.get(magvarElement);
+    const [low, high] = element.bounds;
     const gradient = ctx.createLinearGradient(legendX, 0, legendX + legendWidth, 0);
-    gradient.addColorStop(0, 'rgba(255, 0, 0, 0.8)');
-    gradient.addColorStop(0.5, 'rgba(255, 255, 255, 0.8)');
-    gradient.addColorStop(1, 'rgba(0, 0, 255, 0.8)');
+    for (let i = 0; i <= LEGEND_STOPS; i++) {
+        gradient.addColorStop(i / LEGEND_STOPS, magneticElements.colorStyle(magvarElement, µ.spread(i / LEGEND_STOPS, low, high), 0.8));
+    }
 
     ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
     ctx.fillRect(legendX - 10, legendY - 30, legendWidth + 20, legendHeight + 45);
@@ -238,10 +897,54 @@ function drawMagvarLegend(ctx, width, height) {
     ctx.fillStyle = '#fff';
     ctx.font = '12px Arial';
     ctx.textAlign = 'center';
-    ctx.fillText('-20°', legendX, legendY + legendHeight + 15);
-    ctx.fillText('0°', legendX + legendWidth / 2, legendY + legendHeight + 15);
-    ctx.fillText('+20°', legendX + legendWidth, legendY + legendHeight + 15);
-    ctx.fillText(`Magnetic Declination (${magvarYear})`, legendX + legendWidth / 2, legendY - 10);
+    ctx.textBaseline = 'alphabetic'; // Labels and markers drawn earlier may have changed it
+    ctx.fillText(element.label(low), legendX, legendY + legendHeight + 15);
+    ctx.fillText(element.label((low + high) / 2), legendX + legendWidth / 2, legendY + legendHeight + 15);
+    ctx.fillText(element.label(high), legendX + legendWidth, legendY + legendHeight + 15);
+    ctx.fillText(`${element.name} (${magModel?.name || 'WMM'} ${magvarYear}, ${magvarAltitudeLabel})`, legendX + legendWidth / 2, legendY - 10);
+
+    // Date the field is drawn for, above the legend so it reads clearly during time-lapse playback
+    const warningHeight = magModel?.outOfBounds ? 42 : 0;
+    const dateText = `${magvarDate.toISOString().slice(0, 10)} (${decimalYear(magvarDate).toFixed(2)})`;
+    ctx.font = 'bold 16px Arial';
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+    ctx.strokeText(dateText, legendX + legendWidth / 2, legendY - 40 - warningHeight);
+    ctx.fillText(dateText, legendX + legendWidth / 2, legendY - 40 - warningHeight);
+
+    // Warn when the requested date is outside the active model's validity window (extrapolated values)
+    if (magModel?.outOfBounds) {
+        const from = magModel.start_date.toISOString().slice(0, 10);
+        const to = magModel.end_date.toISOString().slice(0, 10);
+        ctx.fillStyle = 'rgba(180, 0, 0, 0.9)';
+        ctx.fillRect(legendX - 10, legendY - 72, legendWidth + 20, 38);
+        ctx.fillStyle = '#fff';
+        ctx.font = 'bold 12px Arial';
+        ctx.fillText(`⚠ ${magvarDate.toISOString().slice(0, 10)} is outside ${magModel.name}`, legendX + legendWidth / 2, legendY - 57);
+        ctx.font = '11px Arial';
+        // The "wmm" model only extrapolates a WMM release this far when the IGRF table is missing
+        const detail = magModel.missing ? `${magModel.missing} not installed` : `valid ${from} to ${to}`;
+        ctx.fillText(`${detail}; values extrapolated`, legendX + legendWidth / 2, legendY - 42);
+    }
+}
+
+// Function to say which years the drift tracks leave out because the model doesn't cover them, e.g. the years before
+// the first WMM release when the IGRF table isn't installed; without it a short or empty track would be unexplained
+// Called from renderMagvarOverlay
+function drawPoleDriftNotice(ctx, width) {
+    const dropped = cachedPoleTrack?.dropped;
+    if (!dropped || dropped.length === 0) return;
+    // The "wmm" pseudo-model isn't registered itself; it's whichever WMM release or IGRF table covers the year
+    const label = magneticModels.describe(magvarModelName)?.label || 'WMM or IGRF';
+    const text = `⚠ Pole drift leaves out ${formatYearRanges(dropped)}: ${label} doesn't cover them`;
+    ctx.font = 'bold 12px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    const textWidth = ctx.measureText(text).width;
+    ctx.fillStyle = 'rgba(180, 0, 0, 0.9)';
+    ctx.fillRect(width / 2 - textWidth / 2 - 10, 10, textWidth + 20, 24);
+    ctx.fillStyle = '#fff';
+    ctx.fillText(text, width / 2, 22);
 }
 
 // Function called by globe interaction handlers to request an overlay update
@@ -291,17 +994,35 @@ window.renderMagvarOverlay = function() {
     const requiredDetailHigh = !(rotationChange || scaleChange);
     const requiredDetail = requiredDetailHigh ? Math.max(VECTOR_DETAIL.hi, magvarResolution) : Math.min(VECTOR_DETAIL.lo, magvarResolution);
 
-    if (!cachedOverlayData || cachedOverlayData.generatedDetail !== requiredDetail) {
-         console.log(`Regenerating data. Cached detail: ${cachedOverlayData?.generatedDetail}, Required detail: ${requiredDetail}`);
-         generateMagneticField(requiredDetailHigh); // Pass the highDetail flag to generate the correct detail
+    if (magvarMode === 'gradient') {
+        // The colour field is redrawn per pixel, coarser while the globe is moving
+        drawElementField(ctx, projection, width, height, !requiredDetailHigh);
+    } else if (magvarMode === 'isogonic') {
+        // Isogonic lines don't depend on the view, so they are only regenerated when the model or settings change
+        if (!cachedIsogonicData || cachedIsogonicData.interval !== isogonicInterval || cachedIsogonicData.element !== magvarElement) {
+            generateIsogonicLines();
+        }
+        drawIsogonicLines(ctx, projection);
+    } else {
+        if (!cachedOverlayData || cachedOverlayData.generatedDetail !== requiredDetail) {
+             console.log(`Regenerating data. Cached detail: ${cachedOverlayData?.generatedDetail}, Required detail: ${requiredDetail}`);
+             generateMagneticField(requiredDetailHigh); // Pass the highDetail flag to generate the correct detail
+        }
+
+        // Draw vectors using the cached data and current projection
+        drawMagvarVectors(ctx, projection);
     }
 
-    // Draw vectors using the cached data and current projection
-    drawMagvarVectors(ctx, projection);
+    if (showCompassZones) drawCompassZones(ctx, projection);
+    if (showMagneticPoles || poleDrift) drawMagneticPoles(ctx, projection);
+    if (poleDrift) drawPoleDriftNotice(ctx, width);
 
     // Draw the legend
     drawMagvarLegend(ctx, width, height);
 
+    // Keep this year's data for time-lapse playback
+    rememberYear();
+
     // Update last projection after rendering is complete
     lastProjection = { rotate: [...currentRotate], scale: currentScale };
     isRendering = false; // Allow next render request
@@ -0,0 +1,103 @@
+/**
+ * magvar-field.js - Magnetic field grids as products (see products.js)
+ *
+ * The Float32Arrays computed by magvar-grid.js are described by a NetCDF-style header, the same header the weather
+ * products read from their JSON files, and wrapped in products.js grids. Declination or any other computed field can
+ * then be sampled at a pixel or a route point with the products' bilinear interpolation instead of evaluating the
+ * spherical-harmonic model again.
+ */
+
+// Assumes products.js and magnetic-elements.js are loaded first
+
+window.magvarField = (function() {
+    "use strict";
+
+    /**
+     * @param {Object} spec the grid as computed by magvarGrid (see magvar-grid.js), rows running north to south.
+     * @param {Object} model the timed model the grid was computed from.
+     * @param {Date} date the date the model was fixed at.
+     * @returns {Object} the grid's header in the layout of products.js netcdfHeader().
+     */
+    function header(spec, model, date) {
+        return {
+            lo1: spec.lo1,
+            la1: spec.la1,
+            dx: spec.dx,
+            dy: -spec.dy,           // products.js counts latitude spacing positive southwards
+            nx: spec.nx,
+            ny: spec.ny,
+            refTime: date.toISOString(),
+            forecastTime: 0,
+            centerName: model.name,
+            altitude: spec.altitude // km
+        };
+    }
+
+    /**
+     * Builds the product for a computed grid.
+     *
+     * @param {Object} model the timed model the grid was computed from.
+     * @param {Date} date the date the model was fixed at.
+     * @param {Object} spec the grid as submitted to magvarGrid, including its element and altitude.
+     * @param {Object} fields {field: Float32Array} as computed by magvarGrid.
+     * @returns {Object} {header, date, source, element, fields, grids, interpolate(name, λ, φ), sample(λ, φ),
+     *          forEachPoint(cb)}; grids holds a products.js grid per field.
+     */
+    function build(model, date, spec, fields) {
+        const h = header(spec, model, date);
+        const element = spec.element.key;
+        const angular = { decl: true, value: !!magneticElements.get(element).wraps };
+        const names = Object.keys(fields);
+
+        const grids = {};
+        names.forEach(name => {
+            grids[name] = products.buildGrid({
+                header: h,
+                values: fields[name],
+                interpolate: angular[name] ? products.interpolators.angle : products.interpolators.scalar
+            });
+        });
+
+        return {
+            header: h,
+            date: grids[names[0]].date,
+            source: grids[names[0]].source,
+            element,
+            fields,
+            grids,
+
+            /**
+             * @returns {Number} the named field interpolated at (λ, φ) in degrees, or null outside the grid.
+             */
+            interpolate: function(name, λ, φ) {
+                return grids[name] ? grids[name].interpolate(λ, φ) : null;
+            },
+
+            /**
+             * @returns {Object} {field: value} for every field at (λ, φ) in degrees, or null outside the grid.
+             */
+            sample: function(λ, φ) {
+                const result = {};
+                for (const name of names) {
+                    const value = grids[name].interpolate(λ, φ);
+                    if (value === null) return null;
+                    result[name] = value;
+                }
+                return result;
+            },
+
+            /**
+             * Calls cb(λ, φ, i) for each grid point, where i indexes the point's values in every field.
+             */
+            forEachPoint: function(cb) {
+                grids[names[0]].forEachPoint((λ, φ, value, i) => cb(λ, φ, i));
+            }
+        };
+    }
+
+    return {
+        header,
+        build
+    };
+
+})();
@@ -0,0 +1,194 @@
+/**
+ * magvar-grid.js - Evaluates the magnetic model over regular lon/lat grids off the main thread
+ *
+ * The overlay describes each grid it needs (origin, spacing, size, element, altitude) and submits it on a channel.
+ * magvar-worker.js computes it and the values come back as Float32Arrays whose buffers are transferred, not
+ * copied. The dip pole searches for the pole markers and drift tracks go to the same worker. A new request on a
+ * channel cancels the request before it, the way an agent's submit() does. Where workers aren't available, e.g.
+ * pages opened from file://, the same evaluation runs on the main thread, the poles a year per tick.
+ */
+
+// Assumes cof-model.js and magnetic-poles.js are loaded first. Also loaded by magvar-worker.js, where window is the
+// worker's global scope.
+
+window.magvarGrid = (function() {
+    "use strict";
+
+    const WORKER_URL = './js/magvar-worker.js';
+
+    /**
+     * @param {Object} spec the grid, see evaluateRows().
+     * @returns {Object} {field: Float32Array} for every field the spec asks for, filled with NaN.
+     */
+    function allocate(spec) {
+        const out = {};
+        spec.fields.forEach(field => out[field] = new Float32Array(spec.nx * spec.ny).fill(NaN));
+        return out;
+    }
+
+    /**
+     * Evaluates rows [j0, j1) of a grid.
+     *
+     * @param {Object} model a timed model (see cof-model.js).
+     * @param {Object} spec {lo1, la1, dx, dy, nx, ny, altitude, element, fields, minLatitude}: grid point (i, j) is at
+     *        [lo1 + i * dx, la1 + j * dy] and altitude km. fields lists the outputs wanted: "decl", "h" and/or "value",
+     *        the element {key, secular, factor} in its display units, as magneticElements.value() computes it.
+     *        Rows nearer the equator than minLatitude are skipped and stay NaN.
+     * @param {Object} out the arrays from allocate().
+     */
+    function evaluateRows(model, spec, out, j0, j1) {
+        const { lo1, la1, dx, dy, nx, altitude, element } = spec;
+        const minLatitude = spec.minLatitude || 0;
+        for (let j = j0; j < j1; j++) {
+            const lat = la1 + j * dy;
+            if (Math.abs(lat) < minLatitude) continue;
+            for (let i = 0; i < nx; i++) {
+                const coords = [lat, lo1 + i * dx, altitude];
+                const k = j * nx + i;
+                const point = model.point(coords);
+                if (out.decl) out.decl[k] = point.decl;
+                if (out.h) out.h[k] = point.h;
+                if (out.value) {
+                    out.value[k] = element.secular
+                        ? model.secularVariation(coords)[element.secular] * element.factor
+                        : point[element.key];
+                }
+            }
+        }
+    }
+
+    /**
+     * Creates the main thread's side of the worker.
+     * @returns {Object} {submit(channel, model, date, spec), locatePoles(channel, jobs), cancel(channel)}.
+     */
+    function createClient() {
+        let worker = null;
+        try {
+            if (typeof Worker === 'function') worker = new Worker(WORKER_URL);
+        } catch (error) {
+            console.warn('Magnetic grid worker unavailable, computing grids on the main thread:', error);
+        }
+
+        let nextId = 1;
+        const pending = new Map(); // id -> {resolve, reject, cancel}
+        const channels = new Map(); // channel -> id of its request in flight
+
+        function settle(id, error, fields) {
+            const request = pending.get(id);
+            if (!request) return; // Cancelled meanwhile
+            pending.delete(id);
+            if (error) request.reject(error); else request.resolve(fields);
+        }
+
+        if (worker) {
+            worker.onmessage = event => {
+                const { id, fields, poles, error } = event.data;
+                settle(id, error && new Error(error), fields || poles);
+            };
+            worker.onerror = event => console.error('Magnetic grid worker error:', event.message);
+        }
+
+        /**
+         * Cancels the channel's request in flight, whose promise then resolves to null.
+         */
+        function cancel(channel) {
+            const id = channels.get(channel);
+            if (id === undefined) return;
+            channels.delete(channel);
+            const request = pending.get(id);
+            if (!request) return;
+            pending.delete(id);
+            request.cancel.requested = true;
+            request.resolve(null);
+            if (worker) worker.postMessage({ type: 'cancel', id });
+        }
+
+        /**
+         * Sends the message to the worker, or without one has compute(cancelToken, done) do the work here.
+         * @returns {Promise} a promise for the result, or for null if the request was cancelled.
+         */
+        function start(channel, message, compute) {
+            cancel(channel);
+            const id = nextId++;
+            channels.set(channel, id);
+            const cancelToken = { requested: false };
+            const result = new Promise((resolve, reject) => pending.set(id, { resolve, reject, cancel: cancelToken }));
+
+            if (worker) {
+                worker.postMessage(Object.assign({ id }, message));
+            } else {
+                compute(cancelToken, (error, value) => settle(id, error, value));
+            }
+
+            return result.then(value => {
+                if (channels.get(channel) === id) channels.delete(channel);
+                return value;
+            });
+        }
+
+        /**
+         * @param {String} channel requests on the same channel replace each other, e.g. "vectors".
+         * @param {Object} model the timed model to evaluate; the worker rebuilds it from model.coefficients.
+         * @param {Date} date the date the model is fixed at.
+         * @param {Object} spec the grid, see evaluateRows().
+         * @returns {Promise} a promise for {field: Float32Array}, or for null if the request was cancelled.
+         */
+        function submit(channel, model, date, spec) {
+            const message = { type: 'grid', coefficients: model.coefficients, date: date.getTime(), spec };
+            return start(channel, message, (cancelToken, done) => setTimeout(() => {
+                if (cancelToken.requested) return;
+                try {
+                    const out = allocate(spec);
+                    evaluateRows(model, spec, out, 0, spec.ny);
+                    done(null, out);
+                } catch (error) {
+                    done(error);
+                }
+            }, 0));
+        }
+
+        /**
+         * Locates the dip and geomagnetic poles (see magnetic-poles.js) for each of a run of dates, each year's
+         * search starting from the year before's poles.
+         *
+         * @param {String} channel requests on the same channel replace each other, e.g. "drift".
+         * @param {Array} jobs [{model, date}]: the timed models and the dates they're fixed at, in order.
+         * @returns {Promise} a promise for [{dip, geomagnetic}] in the order of the jobs, or for null if the
+         *          request was cancelled.
+         */
+        function locatePoles(channel, jobs) {
+            // Years fixed from the same release share its coefficients, which are then cloned only once
+            const message = {
+                type: 'poles',
+                jobs: jobs.map(({ model, date }) => ({ coefficients: model.coefficients, date: date.getTime() }))
+            };
+            return start(channel, message, (cancelToken, done) => {
+                const poles = [];
+                (function next() {
+                    if (cancelToken.requested) return;
+                    if (poles.length === jobs.length) {
+                        done(null, poles);
+                        return;
+                    }
+                    try {
+                        const previous = poles[poles.length - 1];
+                        poles.push(magneticPoles.locate(jobs[poles.length].model, previous && previous.dip));
+                    } catch (error) {
+                        done(error);
+                        return;
+                    }
+                    setTimeout(next, 0);
+                })();
+            });
+        }
+
+        return { submit, locatePoles, cancel };
+    }
+
+    return {
+        allocate,
+        evaluateRows,
+        createClient
+    };
+
+})();
@@ -0,0 +1,260 @@
+/**
+ * magvar-pins.js - Pinned points on the globe and their info panel
+ *
+ * A pin marks a clicked point on the foreground SVG and stays anchored to it as the globe rotates. Each pin gets a
+ * card in the Pins panel with the magnetic elements at the point and the nearest airports and navaids, which can
+ * be copied as plain text. Pins are kept in the hash configuration as "lat,lon;lat,lon;...".
+ */
+
+// Assumes d3, µ (micro.js), geodesy (geodesy.js) and magneticElements (magnetic-elements.js) are available globally
+
+window.magvarPins = (function() {
+    "use strict";
+
+    const NEAREST = 3; // airports and navaids listed per pin
+    const CELL = 1; // degrees of latitude and longitude spanned by each cell of the nearest facility index
+    const ROWS = 180 / CELL, COLUMNS = 360 / CELL;
+    const SEARCH_RADIUS = 25; // NM searched around a pin first, doubled until enough facilities are found
+    const PIN_RADIUS = 6;
+    const PRECISION = 4; // decimal places of the coordinates kept in the hash
+
+    /**
+     * @param {String} text pins as saved by serialize(), e.g. "51.4700,-0.4543;-33.9461,151.1772".
+     * @returns {Array} the pins as [{lat, lon}], skipping malformed entries.
+     */
+    function parse(text) {
+        return String(text || '').split(';').map(entry => {
+            const [lat, lon] = entry.split(',').map(parseFloat);
+            return { lat, lon };
+        }).filter(pin => Math.abs(pin.lat) <= 90 && Math.abs(pin.lon) <= 180);
+    }
+
+    function serialize(pins) {
+        return pins.map(pin => `${pin.lat.toFixed(PRECISION)},${pin.lon.toFixed(PRECISION)}`).join(';');
+    }
+
+    const row = lat => Math.max(0, Math.min(ROWS - 1, Math.floor((lat + 90) / CELL)));
+    const column = lon => µ.floorMod(Math.floor((lon + 180) / CELL), COLUMNS);
+
+    // The features of one store bucketed into cells of CELL degrees, keyed row * COLUMNS + column
+    function cells(features) {
+        const result = new Map();
+        let size = 0;
+        (features || []).forEach(feature => {
+            if (!isFinite(feature.lat) || !isFinite(feature.lon)) return;
+            const key = row(feature.lat) * COLUMNS + column(feature.lon);
+            if (!result.has(key)) result.set(key, []);
+            result.get(key).push(feature);
+            size++;
+        });
+        return { cells: result, size };
+    }
+
+    /**
+     * Indexes the airports and navaids for nearest(), so that a pin's card looks only at the cells around it rather
+     * than at every facility. Build it once per import: it doesn't see features added to the stores afterwards.
+     *
+     * @param {Object} navigation {airports, navaids} arrays of {id, name?, type?, lat, lon}.
+     * @returns {Object} {airports, navaids} indexes.
+     */
+    function index(navigation) {
+        return { airports: cells(navigation.airports), navaids: cells(navigation.navaids) };
+    }
+
+    // The features in the cells overlapping the box around the pin that holds the circle of the radius (radians)
+    function candidates(store, pin, radius) {
+        const δ = radius * 180 / Math.PI;
+        const south = pin.lat - δ, north = pin.lat + δ;
+        const cosφ = Math.cos(pin.lat * Math.PI / 180);
+        // The circle's widest longitude either side of the pin, unless it reaches over a pole
+        const wrapped = south <= -90 || north >= 90 || Math.sin(radius) >= cosφ;
+        const Δλ = wrapped ? 180 : Math.asin(Math.sin(radius) / cosφ) * 180 / Math.PI;
+        const west = Math.floor((pin.lon - Δλ + 180) / CELL), east = Math.floor((pin.lon + Δλ + 180) / CELL);
+        const span = Math.min(COLUMNS - 1, east - west);
+        const result = [];
+        for (let r = row(south); r <= row(north); r++) {
+            for (let c = west; c <= west + span; c++) {
+                const features = store.cells.get(r * COLUMNS + µ.floorMod(c, COLUMNS));
+                if (features) features.forEach(feature => result.push(feature));
+            }
+        }
+        return result;
+    }
+
+    /**
+     * @param {Object} store one of the indexes returned by index().
+     * @returns {Array} the count features closest to the pin as [{feature, distance, bearing}], distance in NM.
+     */
+    function nearest(store, pin, count) {
+        const wanted = Math.min(count, store ? store.size : 0);
+        if (wanted === 0) return [];
+        // Everything within the radius is in the cells searched, so once enough is found there it's the nearest
+        for (let radius = SEARCH_RADIUS; ; radius *= 2) {
+            const angle = Math.min(Math.PI, radius / geodesy.EARTH_RADIUS_NM);
+            const found = candidates(store, pin, angle)
+                .map(feature => ({ feature, distance: geodesy.distance(pin, feature) }))
+                .filter(candidate => candidate.distance <= radius || angle === Math.PI);
+            if (found.length >= wanted || angle === Math.PI) {
+                return found.sort((a, b) => a.distance - b.distance).slice(0, count).map(candidate =>
+                    Object.assign(candidate, { bearing: geodesy.initialCourse(pin, candidate.feature) }));
+            }
+        }
+    }
+
+    function formatBearing(degrees) {
+        return `${String(Math.round(degrees) % 360).padStart(3, '0')}°`;
+    }
+
+    /**
+     * Describes a pin for its card and its text export.
+     *
+     * @param {Object} pin {lat, lon}.
+     * @param {Object} model the timed model (see cof-model.js) the elements are evaluated with.
+     * @param {Object} altitude {km, label}.
+     * @param {Object} navigation {airports, navaids} as returned by index(), or null.
+     * @returns {Object} {title, sections: [{heading, rows: [[label, value]]}], warning}.
+     */
+    function describe(pin, model, altitude, navigation) {
+        const location = [pin.lat, pin.lon, altitude.km];
+        const { x, y, z, h, f, decl, incl } = model.point(location);
+        const rates = model.secularVariation(location);
+        const element = key => magneticElements.get(key);
+        const sections = [{
+            heading: `Magnetic field (${model.name}, ${altitude.label})`,
+            rows: [
+                ['Declination', `${magneticElements.formatDegreesMinutes(decl, 'E', 'W')} (${element('decl').format(decl)})`],
+                ['Annual change', element('decl_sv').format(rates.decl * 60)],
+                ['Inclination', `${element('incl').format(incl)}, ${element('incl_sv').format(rates.incl * 60)}`],
+                ['Horizontal (H)', `${element('h').format(h)}, ${element('h_sv').format(rates.h)}`],
+                ['Total (F)', `${element('f').format(f)}, ${element('f_sv').format(rates.f)}`],
+                ['North (X)', element('x').format(x)],
+                ['East (Y)', element('y').format(y)],
+                ['Vertical (Z)', element('z').format(z)]
+            ]
+        }];
+
+        // Bearings to each facility, true and magnetic with the declination at the pin
+        const facilityRows = (features, label) => nearest(features, pin, NEAREST).map(({ feature, distance, bearing }) => [
+            label(feature),
+            `${distance.toFixed(1)} NM, ${formatBearing(bearing)}T / ${formatBearing(µ.floorMod(bearing - decl, 360))}M`
+        ]);
+        if (navigation) {
+            sections.push({
+                heading: 'Nearest airports',
+                rows: facilityRows(navigation.airports, airport => airport.name ? `${airport.id} ${airport.name}` : airport.id)
+            });
+            sections.push({
+                heading: 'Nearest navaids',
+                rows: facilityRows(navigation.navaids, navaid => navaid.type ? `${navaid.id} ${navaid.type}` : navaid.id)
+            });
+        }
+
+        return {
+            title: µ.formatCoordinates(pin.lon, pin.lat),
+            sections,
+            warning: magneticElements.zoneWarning(h)
+        };
+    }
+
+    /**
+     * @returns {String} the description as plain text, one row per line.
+     */
+    function toText(description) {
+        const lines = [description.title];
+        description.sections.forEach(section => {
+            lines.push('', section.heading);
+            if (section.rows.length === 0) lines.push('  (none)');
+            section.rows.forEach(([label, value]) => lines.push(`  ${label}: ${value}`));
+        });
+        if (description.warning) lines.push('', description.warning);
+        return lines.join('\n');
+    }
+
+    /**
+     * Draws the pins into the SVG with the projection. Pins on the far side of the globe are clipped away by the
+     * projection's clip angle, so they disappear and reappear as the globe rotates.
+     *
+     * @param {Object} svg d3 selection of the foreground SVG.
+     * @param {Object} projection the globe's projection.
+     * @param {Array} pins [{lat, lon}].
+     * @param {Number} selected index of the highlighted pin, or -1.
+     * @param {Function} onSelect called with a pin's index when the pin is clicked.
+     */
+    function draw(svg, projection, pins, selected, onSelect) {
+        const path = d3.geo.path().projection(projection).pointRadius(PIN_RADIUS);
+        let layer = svg.select('g.pins');
+        if (layer.empty()) layer = svg.append('g').attr('class', 'pins');
+
+        const marks = layer.selectAll('g.pin').data(pins);
+        const entering = marks.enter().append('g').attr('class', 'pin');
+        entering.append('path');
+        entering.append('text').attr('dy', -PIN_RADIUS - 3).attr('text-anchor', 'middle');
+        marks.exit().remove();
+
+        marks.classed('selected', (pin, i) => i === selected)
+            .on('click', (pin, i) => {
+                d3.event.stopPropagation(); // Don't drop another pin here
+                onSelect(i);
+            });
+        marks.each(function(pin, i) {
+            const d = path({ type: 'Point', coordinates: [pin.lon, pin.lat] });
+            const mark = d3.select(this).style('display', d ? null : 'none');
+            if (!d) return;
+            const point = projection([pin.lon, pin.lat]);
+            mark.select('path').attr('d', d);
+            mark.select('text').attr('x', point[0]).attr('y', point[1]).text(i + 1);
+        });
+    }
+
+    /**
+     * Fills the panel with a card per pin.
+     *
+     * @param {Element} container the panel's content element.
+     * @param {Array} descriptions a description (see describe()) per pin, or null where none is available yet.
+     * @param {Number} selected index of the highlighted pin, or -1.
+     * @param {Object} handlers {select(i), copy(i), remove(i)}.
+     */
+    function renderPanel(container, descriptions, selected, handlers) {
+        const root = d3.select(container);
+        root.selectAll('*').remove();
+        if (descriptions.length === 0) {
+            root.append('p').attr('class', 'pin-empty').text('Click the globe to pin a point.');
+            return;
+        }
+
+        descriptions.forEach((description, i) => {
+            const card = root.append('div').attr('class', 'pin-card').classed('selected', i === selected);
+            const header = card.append('div').attr('class', 'pin-card-header');
+            header.append('strong').text(`${i + 1}. ${description ? description.title : ''}`)
+                .on('click', () => handlers.select(i));
+            header.append('button').attr('class', 'pin-copy').text('Copy as text').on('click', () => handlers.copy(i));
+            header.append('button').attr('class', 'pin-remove').attr('title', 'Remove pin').text('×')
+                .on('click', () => handlers.remove(i));
+            if (!description) return;
+
+            description.sections.forEach(section => {
+                card.append('h4').text(section.heading);
+                const table = card.append('table');
+                if (section.rows.length === 0) table.append('tr').append('td').text('(none)');
+                section.rows.forEach(([label, value]) => {
+                    const row = table.append('tr');
+                    row.append('th').text(label);
+                    row.append('td').text(value);
+                });
+            });
+            if (description.warning) card.append('p').attr('class', 'pin-warning').text(description.warning);
+        });
+    }
+
+    return {
+        parse,
+        serialize,
+        index,
+        nearest,
+        describe,
+        toText,
+        draw,
+        renderPanel
+    };
+
+})();
@@ -0,0 +1,169 @@
+/**
+ * magvar-profile.js - Magnetic field profile along a path
+ *
+ * The path, a route's fixes or just the two ends of a great circle line, is sampled along its great circle legs and
+ * the model evaluated at each sample. The chart under the globe plots declination, and optionally inclination and
+ * horizontal intensity, against the distance flown, one row per element. Fixes are marked across all rows, and the
+ * points where declination changes sign, where the path crosses the agonic line, are marked on its row.
+ */
+
+// Assumes d3, geodesy (geodesy.js) and magneticElements (magnetic-elements.js) are available globally
+
+window.magvarProfile = (function() {
+    "use strict";
+
+    const MAX_SAMPLES = 2000; // the spacing is widened on paths long enough to need more
+    const ELEMENTS = ['decl', 'incl', 'h']; // the elements the chart can plot, in row order
+    const ROW_HEIGHT = 80;
+    const MARGIN = { top: 20, right: 16, bottom: 24, left: 64 };
+
+    /**
+     * Samples the model along the path.
+     *
+     * @param {Array} points the path's points [{id, lat, lon}], joined by great circles.
+     * @param {Object} model the timed model (see cof-model.js) to evaluate.
+     * @param {Number} altitude km.
+     * @param {Number} spacing the greatest distance between samples, NM.
+     * @returns {Object} {samples, fixes, length, crossings}: samples are [{distance, lat, lon, decl, incl, h, ...}]
+     *          with distance in NM from the start, fixes are [{id, distance}] and crossings the distances where
+     *          declination changes sign.
+     */
+    function sample(points, model, altitude, spacing) {
+        const legs = [];
+        let length = 0;
+        for (let i = 0; i + 1 < points.length; i++) {
+            const a = points[i], b = points[i + 1];
+            const legLength = geodesy.distance(a, b);
+            legs.push({ start: length, length: legLength, interpolate: t => geodesy.interpolate(a, b, t) });
+            length += legLength;
+        }
+        const step = Math.max(spacing, length / MAX_SAMPLES);
+
+        const samples = [];
+        const add = (distance, { lat, lon }) => {
+            samples.push(Object.assign({ distance, lat, lon }, model.point([lat, lon, altitude])));
+        };
+        legs.forEach((leg, i) => {
+            // Each leg is divided evenly, so its fixes are sampled too
+            const n = Math.max(1, Math.ceil(leg.length / step));
+            for (let k = 0; k < n; k++) add(leg.start + leg.length * k / n, leg.interpolate(k / n));
+            if (i === legs.length - 1) add(length, leg.interpolate(1));
+        });
+
+        const fixes = [];
+        let distance = 0;
+        points.forEach((point, i) => {
+            if (i > 0) distance += legs[i - 1].length;
+            fixes.push({ id: point.id || '', distance });
+        });
+
+        return { samples, fixes, length, crossings: crossings(samples, 'decl') };
+    }
+
+    /**
+     * @returns {Array} the distances where the element changes sign between samples, interpolated linearly. A run of
+     *          samples at exactly zero is a crossing only if the sign either side of it differs, and is placed at the
+     *          run's middle; touching zero and turning back isn't one.
+     */
+    function crossings(samples, key) {
+        const result = [];
+        let last = -1; // the last sample that wasn't zero
+        for (let i = 0; i < samples.length; i++) {
+            const b = samples[i];
+            if (b[key] === 0) continue;
+            if (last >= 0 && Math.sign(samples[last][key]) !== Math.sign(b[key])) {
+                const a = samples[last];
+                result.push(last === i - 1
+                    ? a.distance + (b.distance - a.distance) * a[key] / (a[key] - b[key])
+                    : (samples[last + 1].distance + samples[i - 1].distance) / 2);
+            }
+            last = i;
+        }
+        return result;
+    }
+
+    /**
+     * @returns {String} a line summarising the profile: the declination range and where the agonic line is crossed.
+     */
+    function summary(profile) {
+        const decl = magneticElements.get('decl');
+        const values = profile.samples.map(s => s.decl);
+        const range = `Declination ${decl.format(d3.min(values))} to ${decl.format(d3.max(values))}` +
+            ` over ${profile.length.toFixed(0)} NM`;
+        if (profile.crossings.length === 0) return `${range}, agonic line not crossed`;
+        return `${range}, agonic line crossed at ${profile.crossings.map(d => `${d.toFixed(0)} NM`).join(', ')}`;
+    }
+
+    /**
+     * Draws the chart into the container, replacing whatever it held.
+     *
+     * @param {Element} container the chart's element; the chart takes its width.
+     * @param {Object} profile as returned by sample().
+     * @param {Array} elements the keys to plot, from ELEMENTS.
+     */
+    function draw(container, profile, elements) {
+        const root = d3.select(container);
+        root.selectAll('*').remove();
+        root.append('div').attr('class', 'profile-summary').text(summary(profile));
+
+        const keys = ELEMENTS.filter(key => elements.indexOf(key) >= 0);
+        const width = Math.max(200, container.clientWidth || 600) - MARGIN.left - MARGIN.right;
+        const height = keys.length * ROW_HEIGHT;
+        const svg = root.append('svg')
+            .attr('width', width + MARGIN.left + MARGIN.right)
+            .attr('height', height + MARGIN.top + MARGIN.bottom)
+            .append('g').attr('transform', `translate(${MARGIN.left},${MARGIN.top})`);
+
+        const x = d3.scale.linear().domain([0, profile.length || 1]).range([0, width]);
+        svg.append('g').attr('class', 'profile-axis')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.svg.axis().scale(x).orient('bottom').ticks(8).tickFormat(d => `${d} NM`));
+
+        keys.forEach((key, row) => {
+            const element = magneticElements.get(key);
+            const g = svg.append('g')
+                .attr('class', `profile-row profile-${key}`)
+                .attr('transform', `translate(0,${row * ROW_HEIGHT})`);
+            // A constant element would make an empty domain, which the scale can't place anything in
+            let extent = d3.extent(profile.samples, s => s[key]);
+            if (extent[0] === extent[1]) {
+                const pad = Math.abs(extent[0]) * 0.01 || 1;
+                extent = [extent[0] - pad, extent[1] + pad];
+            }
+            const y = d3.scale.linear()
+                .domain(extent)
+                .range([ROW_HEIGHT - 10, 4])
+                .nice(4);
+            g.append('g').attr('class', 'profile-axis')
+                .call(d3.svg.axis().scale(y).orient('left').ticks(4).tickFormat(element.label));
+            g.append('text').attr('class', 'profile-label').attr('x', 6).attr('y', 12).text(element.name);
+
+            const [low, high] = y.domain();
+            if (low < 0 && high > 0) {
+                g.append('line').attr('class', 'profile-zero')
+                    .attr('x1', 0).attr('x2', width).attr('y1', y(0)).attr('y2', y(0));
+            }
+            g.append('path').attr('class', 'profile-line')
+                .attr('d', d3.svg.line().x(s => x(s.distance)).y(s => y(s[key]))(profile.samples));
+            if (key === 'decl') {
+                g.selectAll('circle.profile-agonic').data(profile.crossings).enter().append('circle')
+                    .attr('class', 'profile-agonic').attr('r', 3.5).attr('cx', x).attr('cy', y(0))
+                    .append('title').text(d => `Agonic line at ${d.toFixed(0)} NM`);
+            }
+        });
+
+        const fixes = svg.selectAll('g.profile-fix').data(profile.fixes).enter().append('g')
+            .attr('class', 'profile-fix').attr('transform', d => `translate(${x(d.distance)},0)`);
+        fixes.append('line').attr('y1', -4).attr('y2', height);
+        fixes.append('text').attr('y', -8).attr('text-anchor', 'middle').text(d => d.id);
+    }
+
+    return {
+        ELEMENTS,
+        sample,
+        crossings,
+        summary,
+        draw
+    };
+
+})();
@@ -0,0 +1,89 @@
+/**
+ * magvar-worker.js - Web Worker that evaluates magnetic field grids for magvar-grid.js and searches for the poles
+ *
+ * Each grid request carries the model's coefficients, its date and the grid spec; each poles request carries the
+ * coefficients and date of every year to locate the poles for. Grids are computed a couple of rows at a time and
+ * poles a year at a time, yielding between slices so that a "cancel" message for a stale request is seen before the
+ * rest of it is computed. Results are posted back with their buffers transferred.
+ */
+
+self.window = self; // geodesy.js, cof-model.js, magvar-grid.js and magnetic-poles.js export through window
+importScripts('geodesy.js', 'cof-model.js', 'magvar-grid.js', 'magnetic-poles.js');
+
+const ROWS_PER_SLICE = 2;
+const active = new Set(); // ids of requests being computed
+const cancelled = new Set(); // ids of requests cancelled while being computed
+
+// A task computes one slice per step(), which returns true once the last one is done, and then has its result
+// posted as message() with transfer() listing the buffers to hand over
+function gridTask({ coefficients, date, spec }) {
+    const model = createTimedModel(coefficients, new Date(date));
+    const out = magvarGrid.allocate(spec);
+    let row = 0;
+    return {
+        step() {
+            const end = Math.min(spec.ny, row + ROWS_PER_SLICE);
+            magvarGrid.evaluateRows(model, spec, out, row, end);
+            row = end;
+            return row >= spec.ny;
+        },
+        message: () => ({ fields: out }),
+        transfer: () => Object.values(out).map(array => array.buffer)
+    };
+}
+
+// Each year's dip pole search starts from the poles found for the year before
+function polesTask({ jobs }) {
+    const poles = [];
+    return {
+        step() {
+            if (poles.length < jobs.length) {
+                const { coefficients, date } = jobs[poles.length];
+                const previous = poles[poles.length - 1];
+                poles.push(magneticPoles.locate(createTimedModel(coefficients, new Date(date)), previous && previous.dip));
+            }
+            return poles.length >= jobs.length;
+        },
+        message: () => ({ poles }),
+        transfer: () => []
+    };
+}
+
+self.onmessage = function(event) {
+    const message = event.data;
+    if (message.type === 'cancel') {
+        if (active.has(message.id)) cancelled.add(message.id);
+        return;
+    }
+
+    const { id } = message;
+    let task;
+    try {
+        task = message.type === 'poles' ? polesTask(message) : gridTask(message);
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+        return;
+    }
+
+    active.add(id);
+    (function slice() {
+        if (cancelled.delete(id)) {
+            active.delete(id);
+            return;
+        }
+        let done;
+        try {
+            done = task.step();
+        } catch (error) {
+            active.delete(id);
+            self.postMessage({ id, error: error.message });
+            return;
+        }
+        if (!done) {
+            setTimeout(slice, 0);
+            return;
+        }
+        active.delete(id);
+        self.postMessage(Object.assign({ id }, task.message()), task.transfer());
+    })();
+};
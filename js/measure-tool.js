@@ -0,0 +1,207 @@
+/**
+ * measure-tool.js - Great circle and rhumb line between two points
+ *
+ * Aircraft fly great circles, the shortest paths, whose true course changes along the way; ships steer rhumb lines,
+ * which cross every meridian at the same true course and are longer. The tool draws both between two points with the
+ * globe's projection, shading the area between them, and compares their distances and their initial and final
+ * bearings, true and magnetic. The magnetic bearings take the declination at each end.
+ */
+
+// Assumes d3, µ (micro.js), geodesy (geodesy.js) and magneticElements (magnetic-elements.js) are available globally
+
+window.measureTool = (function() {
+    "use strict";
+
+    const RHUMB_SAMPLES = 128; // points the rhumb line is drawn through
+    const MAX_LATITUDE = 89.9; // rhumb lines spiral into the poles, so their ends are kept just short of them
+
+    const radians = degrees => degrees * Math.PI / 180;
+    const degrees = radians => radians * 180 / Math.PI;
+
+    // Mercator's stretched latitude ψ, along which rhumb lines are straight
+    function stretched(φ) {
+        return Math.log(Math.tan(Math.PI / 4 + φ / 2));
+    }
+
+    /**
+     * @returns {Object} {distance, initial, final}: the great circle distance in NM and the true courses at its ends.
+     */
+    function greatCircle(a, b) {
+        return {
+            distance: geodesy.distance(a, b),
+            initial: geodesy.initialCourse(a, b),
+            final: geodesy.finalCourse(a, b)
+        };
+    }
+
+    // The rhumb line's changes in latitude, stretched latitude and longitude, the last the short way round
+    function rhumbDeltas(a, b) {
+        const φ1 = radians(Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, a.lat)));
+        const φ2 = radians(Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, b.lat)));
+        const Δλ = radians(µ.floorMod(b.lon - a.lon + 180, 360) - 180);
+        return { φ1, Δφ: φ2 - φ1, Δψ: stretched(φ2) - stretched(φ1), Δλ };
+    }
+
+    /**
+     * @returns {Object} {distance, bearing}: the rhumb line's distance in NM and its constant true course.
+     */
+    function rhumbLine(a, b) {
+        const { φ1, Δφ, Δψ, Δλ } = rhumbDeltas(a, b);
+        // Along a parallel the stretched latitude doesn't change, and the departure is the cosine of the latitude
+        const q = Math.abs(Δψ) > 1e-12 ? Δφ / Δψ : Math.cos(φ1);
+        return {
+            distance: Math.sqrt(Δφ * Δφ + q * q * Δλ * Δλ) * geodesy.EARTH_RADIUS_NM,
+            bearing: µ.floorMod(degrees(Math.atan2(Δλ, Δψ)), 360)
+        };
+    }
+
+    /**
+     * @returns {Array} [lon, lat] points along the rhumb line from a to b, both included.
+     */
+    function rhumbPoints(a, b) {
+        const { φ1, Δφ, Δψ, Δλ } = rhumbDeltas(a, b);
+        const ψ1 = stretched(φ1);
+        const points = [];
+        for (let i = 0; i <= RHUMB_SAMPLES; i++) {
+            const t = i / RHUMB_SAMPLES, φ = φ1 + Δφ * t;
+            // Longitude changes in step with the stretched latitude, or evenly along a parallel
+            const fraction = Math.abs(Δψ) > 1e-12 ? (stretched(φ) - ψ1) / Δψ : t;
+            points.push([µ.floorMod(a.lon + degrees(Δλ * fraction) + 180, 360) - 180, degrees(φ)]);
+        }
+        return points;
+    }
+
+    /**
+     * Compares the two paths between the points.
+     *
+     * @param {Object} a the first point {lat, lon}.
+     * @param {Object} b the second point {lat, lon}.
+     * @param {Function} declination (lat, lon) → degrees east, or null when there is no model.
+     * @returns {Object} {greatCircle: {distance, initial, final}, rhumbLine: {distance, bearing}, declination: {start,
+     *          end}, difference: {distance, percent}}: the rhumb line's extra distance in NM and as a percentage of
+     *          the great circle's.
+     */
+    function compare(a, b, declination) {
+        const gc = greatCircle(a, b), rhumb = rhumbLine(a, b);
+        const extra = rhumb.distance - gc.distance;
+        return {
+            greatCircle: gc,
+            rhumbLine: rhumb,
+            declination: {
+                start: declination ? declination(a.lat, a.lon) : null,
+                end: declination ? declination(b.lat, b.lon) : null
+            },
+            difference: { distance: extra, percent: gc.distance > 0 ? extra / gc.distance * 100 : 0 }
+        };
+    }
+
+    /**
+     * Draws both paths, the area between them and the two points into the SVG, each path labelled with its length at
+     * its middle.
+     *
+     * @param {Object} svg d3 selection of the foreground SVG.
+     * @param {Object} projection the globe's projection (see globes.js).
+     * @param {Array} points the measured points [{lat, lon}], none to two.
+     */
+    function draw(svg, projection, points) {
+        const path = d3.geo.path().projection(projection).pointRadius(4);
+        let layer = svg.select('g.measure');
+        if (layer.empty()) layer = svg.select('g.pins').empty() ? svg.append('g') : svg.insert('g', 'g.pins');
+        layer.attr('class', 'measure');
+
+        const paths = [], labels = [];
+        if (points.length === 2) {
+            const [a, b] = points;
+            const gc = [[a.lon, a.lat], [b.lon, b.lat]], rhumb = rhumbPoints(a, b);
+            const gcDistance = greatCircle(a, b).distance, rhumbDistance = rhumbLine(a, b).distance;
+            // The area between the paths, wound so that it's the small side of the sphere that's filled. Along a
+            // meridian or the equator the paths are the same and there's nothing between them
+            if (rhumbDistance - gcDistance > 0.05) {
+                const area = { type: 'Polygon', coordinates: [gc.concat(rhumb.slice(0, -1).reverse())] };
+                if (d3.geo.area(area) > 2 * Math.PI) area.coordinates[0].reverse();
+                paths.push({ kind: 'measure-area', geometry: area });
+            }
+            paths.push({ kind: 'measure-rhumb', geometry: { type: 'LineString', coordinates: rhumb } });
+            paths.push({ kind: 'measure-gc', geometry: { type: 'LineString', coordinates: gc } });
+            labels.push({ kind: 'measure-gc', at: d3.geo.interpolate(gc[0], gc[1])(0.5), text: `GC ${gcDistance.toFixed(0)} NM` });
+            labels.push({ kind: 'measure-rhumb', at: rhumb[RHUMB_SAMPLES / 2], text: `RL ${rhumbDistance.toFixed(0)} NM` });
+        }
+        points.forEach(point => paths.push({ kind: 'measure-point', geometry: { type: 'Point', coordinates: [point.lon, point.lat] } }));
+
+        const marks = layer.selectAll('path').data(paths);
+        marks.enter().append('path');
+        marks.exit().remove();
+        marks.attr('class', d => d.kind).attr('d', d => path(d.geometry) || '');
+
+        const texts = layer.selectAll('text').data(labels);
+        texts.enter().append('text').attr('dy', '-0.5em').attr('text-anchor', 'middle');
+        texts.exit().remove();
+        texts.each(function(label) {
+            // Labels on the far side of the globe are hidden, like the route's
+            const shown = !!path({ type: 'Point', coordinates: label.at });
+            const text = d3.select(this).attr('class', label.kind).style('display', shown ? null : 'none');
+            if (!shown) return;
+            const point = projection(label.at);
+            text.attr('x', point[0]).attr('y', point[1]).text(label.text);
+        });
+    }
+
+    function formatBearing(value) {
+        return `${String(Math.round(value) % 360).padStart(3, '0')}°`;
+    }
+
+    /**
+     * Fills the panel with the comparison: distances and bearings side by side, and how much longer the rhumb line is.
+     *
+     * @param {Element} container the panel's results element.
+     * @param {Array} points the measured points [{lat, lon}].
+     * @param {Object} comparison as returned by compare(), or null until both points are picked.
+     * @param {String} modelName the model the magnetic bearings come from.
+     */
+    function renderPanel(container, points, comparison, modelName) {
+        const root = d3.select(container);
+        root.selectAll('*').remove();
+        if (!comparison) {
+            root.append('p').text(points.length === 0 ? 'Click the start point on the globe.' : 'Click the end point.');
+            return;
+        }
+
+        const { greatCircle: gc, rhumbLine: rhumb, declination, difference } = comparison;
+        const magnetic = (bearing, decl) => decl === null ? '–' : `${formatBearing(µ.floorMod(bearing - decl, 360))}M`;
+        const [a, b] = points;
+        root.append('p').text(`${µ.formatCoordinates(a.lon, a.lat)} to ${µ.formatCoordinates(b.lon, b.lat)}`);
+
+        const table = root.append('table').attr('class', 'measure-table');
+        const rows = [
+            ['', 'Great circle', 'Rhumb line'],
+            ['Distance', `${gc.distance.toFixed(1)} NM`, `${rhumb.distance.toFixed(1)} NM`],
+            ['Initial', `${formatBearing(gc.initial)}T ${magnetic(gc.initial, declination.start)}`,
+                `${formatBearing(rhumb.bearing)}T ${magnetic(rhumb.bearing, declination.start)}`],
+            ['Final', `${formatBearing(gc.final)}T ${magnetic(gc.final, declination.end)}`,
+                `${formatBearing(rhumb.bearing)}T ${magnetic(rhumb.bearing, declination.end)}`]
+        ];
+        rows.forEach((cells, i) => {
+            const row = table.append('tr');
+            cells.forEach((cell, j) => row.append(i === 0 || j === 0 ? 'th' : 'td').text(cell));
+        });
+
+        root.append('p').attr('class', 'measure-difference')
+            .text(`The rhumb line is ${difference.distance.toFixed(1)} NM (${difference.percent.toFixed(2)}%) longer; ` +
+                `the great circle's course turns ${Math.abs(µ.floorMod(gc.final - gc.initial + 180, 360) - 180).toFixed(1)}° on the way.`);
+        if (declination.start !== null) {
+            const decl = magneticElements.get('decl');
+            root.append('p').text(`Declination ${decl.format(declination.start)} at the start, ` +
+                `${decl.format(declination.end)} at the end (${modelName}).`);
+        }
+    }
+
+    return {
+        greatCircle,
+        rhumbLine,
+        rhumbPoints,
+        compare,
+        draw,
+        renderPanel
+    };
+
+})();
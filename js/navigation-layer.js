@@ -0,0 +1,166 @@
+/**
+ * navigation-layer.js - Airports, navaids and waypoints on the foreground SVG
+ *
+ * Each feature is projected with the globe's projection and drawn as a chart symbol: an airport circle with
+ * ticks, the VOR hexagon (boxed for VOR-DME, with lobes for VORTAC), the DME square, the NDB's dotted rings and
+ * the open triangle of a fix. Points the projection clips away, i.e. those on the back of the globe, are left out
+ * altogether, and identifiers are only labelled while few enough points are in view.
+ */
+
+// Assumes d3 is available globally. The features come from js/data.js (window.navigationData).
+
+window.navigationLayer = (function() {
+    "use strict";
+
+    const LABEL_LIMIT = 400; // no labels while more points than this are in view
+    const LAYERS = ['airports', 'navaids', 'waypoints'];
+
+    // Hexagon of the VOR symbol, corners at 6 px
+    const HEXAGON = "M6,0L3,5.2L-3,5.2L-6,0L-3,-5.2L3,-5.2Z";
+
+    // Symbol definitions, each centred on the origin
+    const SYMBOLS = {
+        airport: symbol => {
+            symbol.append('circle').attr('r', 4.5);
+            symbol.append('path').attr('d', "M0,-4.5V-7.5M4.5,0H7.5M0,4.5V7.5M-4.5,0H-7.5");
+        },
+        vor: symbol => {
+            symbol.append('path').attr('d', HEXAGON);
+            symbol.append('circle').attr('class', 'centre').attr('r', 1.2);
+        },
+        'vor-dme': symbol => {
+            symbol.append('path').attr('d', "M-6,-5.2H6V5.2H-6Z");
+            SYMBOLS.vor(symbol);
+        },
+        vortac: symbol => {
+            SYMBOLS.vor(symbol);
+            // Filled lobes on alternate sides of the hexagon
+            symbol.append('path').attr('class', 'lobe').attr('d', "M3,5.2L-3,5.2L-3,8.2L3,8.2Z");
+            symbol.append('path').attr('class', 'lobe').attr('d', "M6,0L3,-5.2L5.6,-6.7L8.6,-1.5Z");
+            symbol.append('path').attr('class', 'lobe').attr('d', "M-6,0L-3,-5.2L-5.6,-6.7L-8.6,-1.5Z");
+        },
+        dme: symbol => {
+            symbol.append('path').attr('d', "M-5,-5H5V5H-5Z");
+            symbol.append('circle').attr('class', 'centre').attr('r', 1.2);
+        },
+        ndb: symbol => {
+            symbol.append('circle').attr('class', 'dots').attr('r', 3.5);
+            symbol.append('circle').attr('class', 'dots').attr('r', 6);
+            symbol.append('circle').attr('class', 'centre').attr('r', 1.5);
+        },
+        fix: symbol => {
+            symbol.append('path').attr('d', "M0,-5L4.6,3L-4.6,3Z");
+        }
+    };
+
+    /**
+     * @returns {String} the SYMBOLS key for a navaid type such as "VOR", "VOR-DME", "VORTAC", "DME" or "NDB".
+     */
+    function navaidSymbol(type) {
+        const t = String(type || '').toUpperCase();
+        if (t.indexOf('VORTAC') >= 0 || t.indexOf('TACAN') >= 0) return 'vortac';
+        if (t.indexOf('VOR') >= 0) return t.indexOf('DME') >= 0 ? 'vor-dme' : 'vor';
+        if (t.indexOf('NDB') >= 0) return 'ndb';
+        if (t.indexOf('DME') >= 0) return 'dme';
+        return 'vor';
+    }
+
+    function symbolFor(layer, feature) {
+        switch (layer) {
+            case 'airports': return 'airport';
+            case 'navaids': return navaidSymbol(feature.type);
+            default: return 'fix';
+        }
+    }
+
+    // Adds the symbol definitions to the SVG once
+    function defineSymbols(svg) {
+        let defs = svg.select('defs.navigation-symbols');
+        if (!defs.empty()) return;
+        defs = svg.insert('defs', ':first-child').attr('class', 'navigation-symbols');
+        Object.keys(SYMBOLS).forEach(key => {
+            SYMBOLS[key](defs.append('g').attr('id', `nav-symbol-${key}`).attr('class', `nav-symbol nav-${key}`));
+        });
+    }
+
+    /**
+     * @returns {Array} the features of the visible layers that the projection doesn't clip, as
+     *          [{layer, symbol, feature, point}] with point the projected [x, y].
+     */
+    function visibleFeatures(projection, data, layers) {
+        const path = d3.geo.path().projection(projection);
+        const result = [];
+        LAYERS.forEach(layer => {
+            if (!layers[layer] || !data) return;
+            (data[layer] || []).forEach(feature => {
+                const coordinates = [feature.lon, feature.lat];
+                if (!path({ type: 'Point', coordinates })) return; // clipped: on the back of the globe
+                const point = projection(coordinates);
+                if (point && isFinite(point[0]) && isFinite(point[1])) {
+                    result.push({ layer, symbol: symbolFor(layer, feature), feature, point });
+                }
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Draws the visible layers into the SVG.
+     *
+     * @param {Object} svg d3 selection of the foreground SVG.
+     * @param {Object} projection the globe's projection.
+     * @param {Object} data {airports, navaids, waypoints} arrays of {id, name?, type?, lat, lon}.
+     * @param {Object} layers {airports, navaids, waypoints} flags, as in window.visibleLayers.
+     */
+    function draw(svg, projection, data, layers) {
+        defineSymbols(svg);
+        let group = svg.select('g.navigation');
+        if (group.empty()) group = svg.insert('g', 'defs.navigation-symbols + *').attr('class', 'navigation');
+
+        const features = visibleFeatures(projection, data, layers);
+        const labelled = features.length <= LABEL_LIMIT;
+
+        const marks = group.selectAll('g.nav-feature').data(features, d => `${d.layer}:${d.feature.id}:${d.feature.lat}:${d.feature.lon}`);
+        const entering = marks.enter().append('g');
+        entering.append('use');
+        entering.append('text').attr('x', 8).attr('dy', '0.35em');
+        entering.append('title');
+        marks.exit().remove();
+
+        marks.attr('class', d => `nav-feature nav-${d.layer}`)
+            .attr('transform', d => `translate(${d.point[0].toFixed(1)},${d.point[1].toFixed(1)})`);
+        marks.select('use').attr('xlink:href', d => `#nav-symbol-${d.symbol}`);
+        marks.select('text').text(d => labelled ? d.feature.id : '');
+        marks.select('title').text(d => [d.feature.id, d.feature.type, d.feature.name].filter(Boolean).join(' '));
+    }
+
+    return {
+        LAYERS,
+        navaidSymbol,
+        visibleFeatures,
+        draw
+    };
+
+})();
+
+// Layers toggled on in the Layers panel (toggle-layer-airports, -navaids, -waypoints, -airways and -airspace, the
+// last two drawn by airway-layer.js and airspace-layer.js)
+// Exposed globally
+window.visibleLayers = {
+    airports: false,
+    waypoints: false,
+    navaids: false,
+    airways: false,
+    airspace: false
+};
+
+// Exposed globally
+// Draws the navigation layers with the projection; without one, redraws them with the last projection used
+window.renderNavigationData = (function() {
+    let lastProjection = null;
+    return function(projection) {
+        lastProjection = projection || lastProjection;
+        if (!lastProjection) return;
+        navigationLayer.draw(d3.select('#foreground'), lastProjection, window.navigationData, window.visibleLayers);
+    };
+})();
@@ -0,0 +1,189 @@
+/**
+ * ourairports.js - Parser for the OurAirports CSV datasets (airports.csv, runways.csv and navaids.csv)
+ *
+ * The dataset a file holds is told from its header row, so renamed downloads still import. Rows are read into the
+ * layout of the stores in data.js, the same layout arinc424.js produces. Closed airports, heliports and balloonports
+ * are left out, which spares the stores and the globe tens of thousands of airports.csv's rows. Navaids keep OurAirports' own
+ * magnetic_variation_deg, to compare against the model. As with ARINC 424, a row that can't be read is reported
+ * with its line number and the rest of the file is still imported.
+ *
+ * See https://ourairports.com/help/data-dictionary.html for the columns.
+ */
+
+window.ourAirports = (function() {
+    "use strict";
+
+    // Columns that identify each dataset, checked in this order: navaids.csv also has all the airports columns
+    const DATASETS = {
+        navaids: ['ident', 'type', 'frequency_khz', 'latitude_deg', 'longitude_deg', 'magnetic_variation_deg'],
+        runways: ['airport_ident', 'le_ident', 'he_ident', 'length_ft'],
+        airports: ['ident', 'type', 'name', 'latitude_deg', 'longitude_deg']
+    };
+    const SKIPPED_TYPES = ['closed', 'heliport', 'balloonport']; // airport types not imported
+
+    /**
+     * Splits CSV text (RFC 4180: quoted fields may hold commas, doubled quotes and line breaks) into rows.
+     *
+     * @returns {Array} [{line, values}], line being the 1-based line each row starts on.
+     */
+    function parseCsv(text) {
+        const rows = [];
+        let values = [], value = '', quoted = false, line = 1, rowLine = 1;
+        const endRow = () => {
+            values.push(value);
+            if (values.length > 1 || values[0] !== '') rows.push({ line: rowLine, values });
+            values = [];
+            value = '';
+        };
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            if (quoted) {
+                if (c === '"' && text[i + 1] === '"') { value += '"'; i++; }
+                else if (c === '"') quoted = false;
+                else {
+                    if (c === '\n') line++;
+                    value += c;
+                }
+            } else if (c === '"') {
+                quoted = true;
+            } else if (c === ',') {
+                values.push(value);
+                value = '';
+            } else if (c === '\n' || c === '\r') {
+                if (c === '\r' && text[i + 1] === '\n') i++;
+                endRow();
+                rowLine = ++line;
+            } else {
+                value += c;
+            }
+        }
+        if (value !== '' || values.length > 0) endRow();
+        return rows;
+    }
+
+    /**
+     * @returns {String} "airports", "runways" or "navaids" for the header's columns, or null for any other file.
+     */
+    function datasetOf(columns) {
+        return Object.keys(DATASETS).find(key => DATASETS[key].every(column => columns.indexOf(column) >= 0)) || null;
+    }
+
+    // Number from a column, or null if it's empty
+    function number(text) {
+        if (text === undefined || text.trim() === '') return null;
+        const n = +text;
+        if (!isFinite(n)) throw new Error(`invalid number "${text}"`);
+        return n;
+    }
+
+    // Coordinate from a column, which must be present and in range
+    function coordinate(text, limit, name) {
+        const n = number(text);
+        if (n === null || Math.abs(n) > limit) throw new Error(`invalid ${name} "${text || ''}"`);
+        return n;
+    }
+
+    function airport(row) {
+        if (SKIPPED_TYPES.indexOf(row.type) >= 0) return null;
+        return {
+            id: row.gps_code || row.ident,
+            ident: row.ident,
+            iata: row.iata_code || '',
+            type: row.type,
+            name: row.name,
+            lat: coordinate(row.latitude_deg, 90, 'latitude'),
+            lon: coordinate(row.longitude_deg, 180, 'longitude'),
+            elevation: number(row.elevation_ft), // ft
+            country: row.iso_country,
+            municipality: row.municipality,
+            source: 'OurAirports'
+        };
+    }
+
+    function runwayEnd(row, prefix) {
+        const lat = number(row[`${prefix}_latitude_deg`]), lon = number(row[`${prefix}_longitude_deg`]);
+        return {
+            id: row[`${prefix}_ident`],
+            lat, lon, // null where OurAirports has no threshold position
+            elevation: number(row[`${prefix}_elevation_ft`]),
+            heading: number(row[`${prefix}_heading_degT`]), // degrees true
+            displacedThreshold: number(row[`${prefix}_displaced_threshold_ft`])
+        };
+    }
+
+    function runway(row) {
+        if (!row.airport_ident) throw new Error('missing airport_ident');
+        return {
+            airport: row.airport_ident,
+            id: [row.le_ident, row.he_ident].filter(Boolean).join('/'),
+            length: number(row.length_ft), // ft
+            width: number(row.width_ft),
+            surface: row.surface,
+            lighted: row.lighted === '1',
+            closed: row.closed === '1',
+            ends: [runwayEnd(row, 'le'), runwayEnd(row, 'he')],
+            source: 'OurAirports'
+        };
+    }
+
+    function navaid(row) {
+        const frequency = number(row.frequency_khz);
+        const ndb = /NDB/.test(row.type);
+        return {
+            id: row.ident,
+            type: row.type, // "VOR", "VOR-DME", "VORTAC", "DME", "TACAN", "NDB" or "NDB-DME"
+            name: row.name,
+            lat: coordinate(row.latitude_deg, 90, 'latitude'),
+            lon: coordinate(row.longitude_deg, 180, 'longitude'),
+            elevation: number(row.elevation_ft),
+            frequency: frequency === null || ndb ? frequency : frequency / 1000, // kHz for NDBs, MHz otherwise
+            magneticVariation: number(row.magnetic_variation_deg), // degrees, east positive
+            slavedVariation: number(row.slaved_variation_deg),
+            country: row.iso_country,
+            airport: row.associated_airport || null,
+            source: 'OurAirports'
+        };
+    }
+
+    const READERS = { airports: airport, runways: runway, navaids: navaid };
+
+    /**
+     * Parses one of the OurAirports CSV files.
+     *
+     * @param {String} text the file's contents.
+     * @returns {Object} {dataset, airports, runways, navaids, errors, skipped}: dataset names the file's kind, errors
+     *          is [{line, record, message}] for each row that couldn't be read and skipped counts the airports of the
+     *          SKIPPED_TYPES.
+     */
+    function parse(text) {
+        const result = { dataset: null, airports: [], runways: [], navaids: [], errors: [], skipped: 0 };
+        const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+        if (rows.length === 0) throw new Error('empty file');
+
+        const columns = rows[0].values.map(column => column.trim());
+        const dataset = datasetOf(columns);
+        if (!dataset) throw new Error('not an OurAirports airports, runways or navaids file');
+        result.dataset = dataset;
+
+        rows.slice(1).forEach(({ line, values }) => {
+            try {
+                if (values.length !== columns.length) {
+                    throw new Error(`${values.length} columns where the header has ${columns.length}`);
+                }
+                const row = {};
+                columns.forEach((column, i) => row[column] = values[i]);
+                const feature = READERS[dataset](row);
+                if (feature) result[dataset].push(feature); else result.skipped++;
+            } catch (error) {
+                result.errors.push({ line, record: dataset, message: error.message });
+            }
+        });
+        return result;
+    }
+
+    return {
+        parseCsv,
+        parse
+    };
+
+})();
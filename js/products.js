@@ -67,6 +67,86 @@ var products = function() {
         return adjusted;
     }
 
+    /**
+     * @returns {Date} the date the magnetic model is evaluated at: magvarDate if it is a valid "YYYY-MM-DD",
+     *          otherwise January 1st (UTC) of magvarYear.
+     */
+    function magneticDate(attr) {
+        var match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(attr.magvarDate || "");
+        if (match) {
+            var date = new Date(Date.UTC(+match[1], match[2] - 1, +match[3]));
+            if (!isNaN(date.getTime())) {
+                return date;
+            }
+        }
+        return new Date(Date.UTC(parseInt(attr.magvarYear) || new Date().getFullYear(), 0, 1));
+    }
+
+    /**
+     * Returns a date for the next or previous magnetic layer. Steps of ±1 move one year, and steps of ±10 move
+     * ten years.
+     */
+    function magneticStep(date, step) {
+        var adjusted = new Date(date);
+        adjusted.setUTCFullYear(adjusted.getUTCFullYear() + (step > 1 ? 10 : step < -1 ? -10 : step));
+        return adjusted;
+    }
+
+    var MAGNETIC_GRID = 2;  // 2° spacing of the magnetic products' grid, 181 rows of 180 points
+    var magneticGrids = null;  // magvarGrid client shared by the magnetic products, created on first load
+
+    /**
+     * Builds a product whose grid is computed locally from the configured magnetic model (attr.magvarModel, date
+     * and altitude) rather than downloaded. The grid covers the globe every MAGNETIC_GRID degrees, with the
+     * element's values in its display units (see magnetic-elements.js).
+     *
+     * @param attr the configuration attributes.
+     * @param {String} element the magneticElements key of the product's field.
+     * @param overrides the product's description, units and so on.
+     */
+    function buildMagneticProduct(attr, element, overrides) {
+        var definition = magneticElements.get(element);
+        var altitude = magneticElements.altitudeKm(parseFloat(attr.altitude) || 0, attr.altitudeUnit);
+        return buildProduct(_.extend({
+            field: "scalar",
+            type: element,
+            element: element,
+            date: magneticDate(attr),
+            altitude: altitude,  // km
+            navigate: function(step) {
+                return magneticStep(this.date, step);
+            },
+            load: function(cancel) {
+                var me = this, name = attr.magvarModel || magneticModels.LATEST_WMM;
+                var spec = {
+                    lo1: -180, la1: 90, dx: MAGNETIC_GRID, dy: -MAGNETIC_GRID,
+                    nx: 360 / MAGNETIC_GRID, ny: 180 / MAGNETIC_GRID + 1,
+                    altitude: altitude,
+                    element: {key: element, secular: definition.secular, factor: definition.factor},
+                    fields: ["value"]
+                };
+                magneticGrids = magneticGrids || magvarGrid.createClient();
+                return when(magneticModels.model(name, me.date, {allowOutOfBoundsModel: true})).then(function(model) {
+                    if (cancel.requested) return null;
+                    return when(magneticGrids.submit("product", model, me.date, spec)).then(function(fields) {
+                        return cancel.requested || !fields ? null : _.extend(me, buildGrid(me.builder(model, spec, fields)));
+                    });
+                });
+            },
+            builder: function(model, spec, fields) {
+                return {
+                    header: magvarField.header(spec, model, this.date),
+                    values: fields.value,
+                    interpolate: definition.wraps ? bilinearInterpolateAngle : bilinearInterpolateScalar
+                };
+            },
+            scale: {
+                bounds: definition.bounds,
+                gradient: definition.gradient
+            }
+        }, overrides));
+    }
+
     function netcdfHeader(time, lat, lon, center) {
         return {
             lo1: lon.sequence.start,
@@ -494,6 +574,71 @@ var products = function() {
             }
         },
 
+        "declination": {
+            matches: _.matches({overlayType: "declination"}),
+            create: function(attr) {
+                return buildMagneticProduct(attr, "decl", {
+                    description: localize({
+                        name: {en: "Magnetic Declination", ja: "偏角"},
+                        qualifier: ""
+                    }),
+                    units: [
+                        {label: "°", conversion: function(x) { return x; },      precision: 1},
+                        {label: "'", conversion: function(x) { return x * 60; }, precision: 0}
+                    ]
+                });
+            }
+        },
+
+        "inclination": {
+            matches: _.matches({overlayType: "inclination"}),
+            create: function(attr) {
+                return buildMagneticProduct(attr, "incl", {
+                    description: localize({
+                        name: {en: "Magnetic Inclination", ja: "伏角"},
+                        qualifier: ""
+                    }),
+                    units: [
+                        {label: "°", conversion: function(x) { return x; },      precision: 1},
+                        {label: "'", conversion: function(x) { return x * 60; }, precision: 0}
+                    ]
+                });
+            }
+        },
+
+        "total_intensity": {
+            matches: _.matches({overlayType: "total_intensity"}),
+            create: function(attr) {
+                return buildMagneticProduct(attr, "f", {
+                    description: localize({
+                        name: {en: "Total Magnetic Intensity", ja: "全磁力"},
+                        qualifier: ""
+                    }),
+                    units: [
+                        {label: "nT", conversion: function(x) { return x; },          precision: 0},
+                        {label: "µT", conversion: function(x) { return x / 1000; },   precision: 2},
+                        {label: "G",  conversion: function(x) { return x / 100000; }, precision: 4}
+                    ]
+                });
+            }
+        },
+
+        "secular_variation": {
+            matches: _.matches({overlayType: "secular_variation"}),
+            create: function(attr) {
+                return buildMagneticProduct(attr, "decl_sv", {
+                    description: localize({
+                        name: {en: "Declination Annual Change", ja: "偏角年変化"},
+                        qualifier: ""
+                    }),
+                    units: [
+                        {label: "'/yr", conversion: function(x) { return x; },      precision: 1},
+                        {label: "°/yr", conversion: function(x) { return x / 60; }, precision: 3}
+                    ]
+                });
+            }
+        },
+
         "off": {
             matches: _.matches({overlayType: "off"}),
             create: function() {
@@ -568,6 +713,21 @@ var products = function() {
         return g00 * rx * ry + g10 * x * ry + g01 * rx * y + g11 * x * y;
     }
 
+    /**
+     * Like bilinearInterpolateScalar, but for angles in degrees that wrap at ±180 (e.g., magnetic declination):
+     * corners straddling the wrap, as near the magnetic poles, are unwrapped before interpolating.
+     */
+    function bilinearInterpolateAngle(x, y, g00, g10, g01, g11) {
+        if (Math.max(g00, g10, g01, g11) - Math.min(g00, g10, g01, g11) > 180) {
+            if (g00 < 0) g00 += 360;
+            if (g10 < 0) g10 += 360;
+            if (g01 < 0) g01 += 360;
+            if (g11 < 0) g11 += 360;
+        }
+        var value = bilinearInterpolateScalar(x, y, g00, g10, g01, g11);
+        return value > 180 ? value - 360 : value;
+    }
+
     function bilinearInterpolateVector(x, y, g00, g10, g01, g11) {
         var rx = (1 - x);
         var ry = (1 - y);
@@ -603,8 +763,14 @@ var products = function() {
      *       }
      *     ]
      *
+     * Scalar grids computed in the browser may instead supply their values as a typed array (e.g., Float32Array) in
+     * builder.values, in the same scan order. The array is then used as the grid's backing store directly, and NaN
+     * marks a missing value. forEachPoint passes the index of each point into the array as a fourth argument.
      */
     function buildGrid(builder) {
+        if (builder.values) {
+            return buildTypedGrid(builder);
+        }
         // var builder = createBuilder(data);
 
         var header = builder.header;
@@ -678,6 +844,58 @@ var products = function() {
         };
     }
 
+    /**
+     * The typed array form of buildGrid: same header and interpolation, without copying the values into rows.
+     */
+    function buildTypedGrid(builder) {
+        var header = builder.header, values = builder.values;
+        var λ0 = header.lo1, φ0 = header.la1;
+        var Δλ = header.dx, Δφ = header.dy;
+        var ni = header.nx, nj = header.ny;
+        var date = new Date(header.refTime);
+        date.setHours(date.getHours() + header.forecastTime);
+
+        // A wrapped grid's column after the last is its first column.
+        var isContinuous = Math.floor(ni * Δλ) >= 360;
+
+        function interpolate(λ, φ) {
+            var i = µ.floorMod(λ - λ0, 360) / Δλ;
+            var j = (φ0 - φ) / Δφ;
+
+            var fi = Math.floor(i), ci = fi + 1;
+            var fj = Math.floor(j), cj = fj + 1;
+            if (ci >= ni && isContinuous) {
+                ci -= ni;
+            }
+            if (cj === nj && j === fj) {
+                cj = fj;  // exactly on the last row, e.g., the south pole
+            }
+            if (fi < ni && ci < ni && fj >= 0 && cj < nj) {
+                var g00 = values[fj * ni + fi];
+                var g10 = values[fj * ni + ci];
+                var g01 = values[cj * ni + fi];
+                var g11 = values[cj * ni + ci];
+                if (g00 === g00 && g10 === g10 && g01 === g01 && g11 === g11) {  // none are NaN
+                    return builder.interpolate(i - fi, j - fj, g00, g10, g01, g11);
+                }
+            }
+            return null;
+        }
+
+        return {
+            source: dataSource(header),
+            date: date,
+            interpolate: interpolate,
+            forEachPoint: function(cb) {
+                for (var j = 0, p = 0; j < nj; j++) {
+                    for (var i = 0; i < ni; i++, p++) {
+                        cb(µ.floorMod(180 + λ0 + i * Δλ, 360) - 180, φ0 - j * Δφ, values[p], p);
+                    }
+                }
+            }
+        };
+    }
+
     function productsFor(attributes) {
         var attr = _.clone(attributes), results = [];
         _.values(FACTORIES).forEach(function(factory) {
@@ -690,7 +908,12 @@ var products = function() {
 
     return {
         overlayTypes: d3.set(_.keys(FACTORIES)),
-        productsFor: productsFor
+        productsFor: productsFor,
+        buildGrid: buildGrid,
+        interpolators: {
+            scalar: bilinearInterpolateScalar,
+            angle: bilinearInterpolateAngle
+        }
     };
 
 }();
@@ -0,0 +1,228 @@
+/**
+ * route-planner.js - Flight routes from route strings such as "EGLL DVR UL9 KONAN EBBR"
+ *
+ * A route string is resolved against the navigation stores (see data.js) into fixes: airports, navaids and
+ * waypoints by identifier, airways expanded into the fixes between the ones either side of them, and coordinates
+ * written as "51.4700,-0.4543" or "5128N00027W". Identifiers used for several facilities resolve to the one closest
+ * to the fix before. Each leg is then flown along a great circle, and its magnetic course is worked out with the
+ * declination either at the leg's midpoint or at its start fix.
+ */
+
+// Assumes d3, underscore, µ (micro.js), geodesy (geodesy.js) and magneticElements (magnetic-elements.js) are available
+// globally
+
+window.routePlanner = (function() {
+    "use strict";
+
+    const CONVENTIONS = ['midpoint', 'start']; // where each leg's declination is taken
+    const FIX_RADIUS = 3.5;
+
+    /**
+     * @returns {Object} {lat, lon} for a coordinate token, "51.4700,-0.4543" or "5128N00027W" (degrees and optionally
+     *          minutes), or null if the token isn't one.
+     */
+    function coordinateToken(token) {
+        let match = /^(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)$/.exec(token);
+        if (match) {
+            const lat = +match[1], lon = +match[2];
+            return Math.abs(lat) <= 90 && Math.abs(lon) <= 180 ? { lat, lon } : null;
+        }
+        match = /^(\d{2})(\d{2})?([NS])(\d{3})(\d{2})?([EW])$/.exec(token);
+        if (!match) return null;
+        const lat = (+match[1] + (match[2] || 0) / 60) * (match[3] === 'S' ? -1 : 1);
+        const lon = (+match[4] + (match[5] || 0) / 60) * (match[6] === 'W' ? -1 : 1);
+        return Math.abs(lat) <= 90 && Math.abs(lon) <= 180 ? { lat, lon } : null;
+    }
+
+    // The facilities with the identifier, as fixes {id, lat, lon, kind, name}
+    function candidates(id, navigation) {
+        const result = [];
+        [['airports', 'airport'], ['navaids', 'navaid'], ['waypoints', 'waypoint']].forEach(([store, kind]) => {
+            (navigation[store] || []).forEach(feature => {
+                if (feature.id === id) result.push({ id, lat: feature.lat, lon: feature.lon, kind, name: feature.name || '' });
+            });
+        });
+        return result;
+    }
+
+    /**
+     * @returns {Array} the fixes of the airway after the from fix up to and including the to fix, in the order flown,
+     *          or null if no part of the airway holds both.
+     */
+    function alongAirway(airwayId, fromId, toId, airways) {
+        for (const airway of airways || []) {
+            if (airway.id !== airwayId) continue;
+            const fixes = airway.fixes.filter(fix => fix.lat !== null);
+            const from = fixes.findIndex(fix => fix.id === fromId), to = fixes.findIndex(fix => fix.id === toId);
+            if (from < 0 || to < 0 || from === to) continue;
+            const between = from < to ? fixes.slice(from + 1, to + 1) : fixes.slice(to, from).reverse();
+            return between.map(fix => ({ id: fix.id, lat: fix.lat, lon: fix.lon, kind: 'waypoint', name: '', via: airwayId }));
+        }
+        return null;
+    }
+
+    /**
+     * Resolves a route string into fixes.
+     *
+     * @param {String} text the route, identifiers, airways and coordinates separated by spaces; "DCT" is ignored.
+     * @param {Object} navigation {airports, navaids, waypoints, airways} stores, as in window.navigationData.
+     * @returns {Object} {fixes, errors}: fixes are [{id, lat, lon, kind, name, via}], via naming the airway a fix
+     *          was reached by, and errors is [{token, message}] for the parts of the route that were left out.
+     */
+    function parse(text, navigation) {
+        const tokens = String(text || '').trim().toUpperCase().split(/\s+/).filter(token => token && token !== 'DCT');
+        const isAirway = id => (navigation.airways || []).some(airway => airway.id === id);
+        const fixes = [], errors = [];
+        let airway = null;
+
+        tokens.forEach((token, i) => {
+            const previous = fixes[fixes.length - 1];
+            const point = coordinateToken(token);
+            if (point) {
+                if (airway) errors.push({ token: airway, message: `${airway} needs a fix at each end` });
+                airway = null;
+                fixes.push({ id: token, lat: point.lat, lon: point.lon, kind: 'point', name: '' });
+                return;
+            }
+            // An airway is only one between two fixes; otherwise it's taken for a fix of the same name
+            if (previous && !airway && i + 1 < tokens.length && isAirway(token)) {
+                airway = token;
+                return;
+            }
+
+            const found = candidates(token, navigation);
+            if (found.length === 0) {
+                errors.push({ token, message: `${token} not found` });
+                if (airway) errors.push({ token: airway, message: `${airway} needs a fix at each end` });
+                airway = null;
+                return;
+            }
+            const fix = previous ? _.min(found, candidate => geodesy.distance(previous, candidate)) : found[0];
+            if (airway) {
+                const along = alongAirway(airway, previous.id, token, navigation.airways);
+                if (along) {
+                    along[along.length - 1] = Object.assign(fix, { via: airway });
+                    fixes.push(...along);
+                    airway = null;
+                    return;
+                }
+                errors.push({ token: airway, message: `${airway} doesn't join ${previous.id} and ${token}; flown direct` });
+                airway = null;
+            }
+            fixes.push(fix);
+        });
+        if (airway) errors.push({ token: airway, message: `${airway} needs a fix at each end` });
+        return { fixes, errors };
+    }
+
+    /**
+     * Works out the legs between the fixes.
+     *
+     * @param {Array} fixes as returned by parse().
+     * @param {Function} declination (lat, lon) → degrees east, or null when there is no model.
+     * @param {String} convention "midpoint" to take the course and declination at the middle of each leg, "start"
+     *        to take them at its first fix.
+     * @returns {Array} [{from, to, trueCourse, magneticCourse, declination, distance, cumulative}], courses in
+     *          degrees and distances in NM along great circles.
+     */
+    function legs(fixes, declination, convention) {
+        let cumulative = 0;
+        const result = [];
+        for (let i = 0; i + 1 < fixes.length; i++) {
+            const from = fixes[i], to = fixes[i + 1];
+            const length = geodesy.distance(from, to);
+            const at = convention === 'start' ? from : geodesy.interpolate(from, to, 0.5);
+            const trueCourse = geodesy.initialCourse(at, to);
+            const decl = declination ? declination(at.lat, at.lon) : null;
+            cumulative += length;
+            result.push({
+                from, to, trueCourse,
+                magneticCourse: decl === null || !isFinite(decl) ? null : µ.floorMod(trueCourse - decl, 360),
+                declination: decl,
+                distance: length,
+                cumulative
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Draws the route into the SVG: a great circle per leg and a labelled mark per fix, clipped to the visible side
+     * of the globe.
+     *
+     * @param {Object} svg d3 selection of the foreground SVG.
+     * @param {Object} projection the globe's projection.
+     * @param {Array} fixes as returned by parse().
+     */
+    function draw(svg, projection, fixes) {
+        const path = d3.geo.path().projection(projection).pointRadius(FIX_RADIUS);
+        let layer = svg.select('g.route');
+        if (layer.empty()) layer = svg.select('g.pins').empty() ? svg.append('g') : svg.insert('g', 'g.pins');
+        layer.attr('class', 'route');
+
+        const coordinates = fixes.map(fix => [fix.lon, fix.lat]);
+        const line = layer.selectAll('path.route-line').data(fixes.length > 1 ? [coordinates] : []);
+        line.enter().append('path').attr('class', 'route-line');
+        line.exit().remove();
+        line.attr('d', d => path({ type: 'LineString', coordinates: d }));
+
+        const marks = layer.selectAll('g.route-fix').data(fixes);
+        const entering = marks.enter().append('g').attr('class', 'route-fix');
+        entering.append('path');
+        entering.append('text').attr('dx', FIX_RADIUS + 3).attr('dy', '0.35em');
+        marks.exit().remove();
+        marks.each(function(fix) {
+            const d = path({ type: 'Point', coordinates: [fix.lon, fix.lat] });
+            const mark = d3.select(this).style('display', d ? null : 'none');
+            if (!d) return;
+            const point = projection([fix.lon, fix.lat]);
+            mark.select('path').attr('d', d);
+            mark.select('text').attr('x', point[0]).attr('y', point[1]).text(fix.kind === 'point' ? '' : fix.id);
+        });
+    }
+
+    function formatCourse(degrees) {
+        return degrees === null ? '–' : `${String(Math.round(degrees) % 360).padStart(3, '0')}°`;
+    }
+
+    /**
+     * Fills the panel with the legs table and the parts of the route that were left out.
+     *
+     * @param {Element} container the panel's content element.
+     * @param {Array} routeLegs as returned by legs().
+     * @param {Array} errors as returned by parse().
+     */
+    function renderPanel(container, routeLegs, errors) {
+        const root = d3.select(container);
+        root.selectAll('*').remove();
+        errors.forEach(error => root.append('p').attr('class', 'route-error').text(error.message));
+        if (routeLegs.length === 0) {
+            root.append('p').attr('class', 'route-empty').text('Enter a route or pick at least two fixes.');
+            return;
+        }
+
+        const table = root.append('table').attr('class', 'route-legs');
+        const header = table.append('tr');
+        ['Leg', 'TC', 'MC', 'Decl', 'NM', 'Total'].forEach(heading => header.append('th').text(heading));
+        routeLegs.forEach(leg => {
+            const row = table.append('tr');
+            const via = leg.to.via ? ` (${leg.to.via})` : '';
+            row.append('td').text(`${leg.from.id} – ${leg.to.id}${via}`);
+            row.append('td').text(formatCourse(leg.trueCourse));
+            row.append('td').text(formatCourse(leg.magneticCourse));
+            row.append('td').text(leg.declination === null ? '–' : magneticElements.formatDegreesMinutes(leg.declination, 'E', 'W'));
+            row.append('td').text(leg.distance.toFixed(1));
+            row.append('td').text(leg.cumulative.toFixed(1));
+        });
+    }
+
+    return {
+        CONVENTIONS,
+        coordinateToken,
+        parse,
+        legs,
+        draw,
+        renderPanel
+    };
+
+})();
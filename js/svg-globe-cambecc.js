@@ -121,22 +121,7 @@ window.setupSvgGlobe = function(container, landGeoJson, options = {}) {
         return projection.invert([x, y]);
     };
 
-    // Placeholder for renderNavigationData - implement this based on your navigation data rendering needs
-    // Exposed globally
-    window.renderNavigationData = function() {
-        console.warn("renderNavigationData not implemented.");
-        // Example: You would typically access your navigation data (airports, waypoints, navaids)
-        // and draw them on the globe using the projection.
-        // The `visibleLayers` object (now global) would tell you which layers are currently toggled on.
-    };
-
-    // Placeholder for visibleLayers - initialize this object based on your application state
-    // Exposed globally
-    window.visibleLayers = {
-        airports: false,
-        waypoints: false,
-        navaids: false
-    };
+    // renderNavigationData and visibleLayers are defined by navigation-layer.js
 
     return container.__globeWrapper; // Return the wrapper
 };